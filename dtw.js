@@ -2,6 +2,702 @@
 // ********** Module to implement Time-Weighted or Time-Constrained Dynamic Time Warping (TW/TC-DTW) **************** //
 // ****************************************************************************************************************** //
 
+// The client-side engine shares the validation of the options with this module
+var DTWClient = require('users/soilwatch/functions:dtw_client.js');
+
+/**
+ * Copy a dictionary of options, e.g. the options passed down from classify to DTWDist,
+ * leaving out some of the options and overriding others.
+ * @param {Dictionary} options: The options to copy.
+ * @param {Dictionary} overrides: The options to set on the copy, taking precedence over the copied ones.
+ * @param {List} omit: The names of the options to leave out of the copy.
+ * @returns {Dictionary}
+ * @ignore
+ */
+var _copyOptions = function(options, overrides, omit){
+  var copy = {};
+  Object.keys(options).forEach(function(option){
+    if (!omit || omit.indexOf(option) === -1) {
+      copy[option] = options[option];
+    }
+  });
+  Object.keys(overrides || {}).forEach(function(option){copy[option] = overrides[option]});
+  return copy;
+};
+
+/**
+ * Convert a 1-element array image (or a scalar image) to a scalar image with a given band name.
+ * @param {Image} img: The image to convert, e.g. a cell of the 'dis_mat' or 'D_mat' matrices of DTWDist.
+ * @param {String} name: The band name of the output image.
+ * @returns {Image}
+ * @ignore
+ */
+var _toScalar = function(img, name){
+  return ee.Image(img).toArray().arrayProject([0]).arrayFlatten([[name]]);
+};
+
+/**
+ * Cast a DTW dissimilarity image to the requested output data type.
+ * @param {Image} img: The DTW dissimilarity image to cast.
+ * @param {String} output_type: The output data type, whether 'uint16' (saturating at 65535), 'float',
+ *                              or 'scaled' for an unsigned 32-bit integer of the dissimilarity multiplied by 'output_scale'.
+ * @param {Number} output_scale: The scale factor of the 'scaled' output data type.
+ * @returns {Image}
+ * @ignore
+ */
+var _castOutput = function(img, output_type, output_scale){
+  if (output_type === 'float') {
+    return ee.Image(img).toFloat();
+  } else if (output_type === 'scaled') {
+    return ee.Image(img).multiply(output_scale).round().toUint32();
+  }
+  return ee.Image(img).toUint16();
+};
+
+/**
+ * Convert a matrix of array images (i.e. an ee.List of rows, each row an ee.List of 1-element array images or scalar images)
+ * to a single array image of dimension [rows_no, cols_no].
+ * @param {List} mat: The matrix to convert, e.g. the 'dis_mat' or 'D_mat' matrices of DTWDist.
+ * @param {Number} rows_no: The number of rows of the matrix.
+ * @param {Number} cols_no: The number of columns of the matrix.
+ * @returns {Image}
+ * @ignore
+ */
+var _matrixToArray = function(mat, rows_no, cols_no){
+  var cells = ee.List(mat).flatten().map(function(img){
+    return _toScalar(img, 'cell').toDouble();
+  });
+
+  return ee.ImageCollection(cells).toArray()
+                                  .arrayReshape(ee.Image(ee.Array(ee.List([rows_no, cols_no]))), 2);
+};
+
+/**
+ * Compute the range of pattern timestamps allowed by an index-based global path constraint for a given image of the time series.
+ * Both the Sakoe-Chiba band and the Itakura parallelogram are scaled to the diagonal of the cost matrix,
+ * so that time series and patterns of different lengths can be compared.
+ * @param {Number} i: The index (starting from 0) of the image in the time series.
+ * @param {Number} timeseries_len: The length of the image time series.
+ * @param {Number} patterns_len: The length of the reference pattern time series.
+ * @param {String} constraint_type: The global path constraint, whether 'sakoe-chiba' or 'itakura'.
+ * @param {Number} window: The half-width of the Sakoe-Chiba band (in number of timestamps).
+ * @param {Number} slope: The maximum slope of the Itakura parallelogram.
+ * @returns {List} The first and last allowed pattern timestamp indices (starting from 0).
+ * @ignore
+ */
+var _regionBounds = function(i, timeseries_len, patterns_len, constraint_type, window, slope){
+  i = ee.Number(i);
+  var t_last = ee.Number(timeseries_len).subtract(1);
+  var p_last = ee.Number(patterns_len).subtract(1);
+  var j_min;
+  var j_max;
+
+  if (constraint_type === 'sakoe-chiba') {
+    j_min = i.subtract(window).multiply(p_last).divide(t_last);
+    j_max = i.add(window).multiply(p_last).divide(t_last);
+  } else if (constraint_type === 'itakura') {
+    var u = i.divide(t_last);
+    j_min = u.divide(slope).max(ee.Number(1).subtract(ee.Number(1).subtract(u).multiply(slope))).multiply(p_last);
+    j_max = u.multiply(slope).min(ee.Number(1).subtract(ee.Number(1).subtract(u).divide(slope))).multiply(p_last);
+  }
+
+  // Guard against floating point errors on the region edges
+  return ee.List([j_min.subtract(1e-9).ceil().max(0), j_max.add(1e-9).floor().min(p_last)]);
+};
+
+/**
+ * Backtrack the optimal warping path through the accumulated cost matrix of each pixel,
+ * from cell (-1, -1) to cell (0, 0), taking the diagonal step first in case of ties.
+ * @param {Image} D_arr: An array image of dimension [timeseries_len, patterns_len] containing the accumulated cost matrix.
+ * @param {Number} timeseries_len: The length of the image time series.
+ * @param {Number} patterns_len: The length of the reference pattern time series.
+ * @returns {Image} An array image named 'path' of dimension [l, 2] with the (i, j) pairs of the warping path,
+ *                  l varying from pixel to pixel.
+ * @ignore
+ */
+var _warpingPath = function(D_arr, timeseries_len, patterns_len){
+  var no_step = ee.Image(1e12);
+
+  var _toRow = function(img){
+    return img.toArray().toArray(1).arrayTranspose();
+  };
+
+  var last = ee.Image.cat(ee.Image(ee.Number(timeseries_len).subtract(1)),
+                          ee.Image(ee.Number(patterns_len).subtract(1))).toInt().rename(['i', 'j']);
+  var first = last.addBands(_toRow(last).rename('path'))
+                  .addBands(ee.Image(1).toInt().toArray().toArray(1).rename('valid'));
+
+  // The path is at most timeseries_len + patterns_len - 1 cells long
+  var steps = ee.List.sequence(1, ee.Number(timeseries_len).add(patterns_len).subtract(2));
+
+  var path = ee.Image(steps.iterate(function(step, previous){
+    previous = ee.Image(previous);
+    var i = previous.select('i');
+    var j = previous.select('j');
+    var done = i.eq(0).and(j.eq(0));
+    var i_prev = i.subtract(1).max(0);
+    var j_prev = j.subtract(1).max(0);
+
+    var diag = D_arr.arrayGet(ee.Image.cat(i_prev, j_prev)).where(i.eq(0).or(j.eq(0)), no_step);
+    var up = D_arr.arrayGet(ee.Image.cat(i_prev, j)).where(i.eq(0), no_step);
+    var left = D_arr.arrayGet(ee.Image.cat(i, j_prev)).where(j.eq(0), no_step);
+
+    var go_diag = diag.lte(up).and(diag.lte(left));
+    var go_up = go_diag.not().and(up.lte(left));
+
+    var cell = ee.Image.cat(i.subtract(go_diag.or(go_up).and(done.not())),
+                            j.subtract(go_diag.or(go_up.not()).and(done.not()))).toInt().rename(['i', 'j']);
+
+    // Cells visited after reaching (0, 0) are flagged as invalid, so they can be masked out of the path
+    return cell.addBands(_toRow(cell).arrayCat(previous.select('path'), 0).rename('path'))
+               .addBands(done.not().toInt().toArray().toArray(1).arrayCat(previous.select('valid'), 0).rename('valid'));
+  }, first));
+
+  return path.select('path').arrayMask(path.select('valid'));
+};
+
+/**
+ * Select the best non-overlapping subsequence matches of each pixel, in a greedy fashion,
+ * i.e. the match with the lowest DTW dissimilarity first, then the best match not overlapping it, and so on.
+ * @param {Image} candidates: An array image of dimension [c, 3], with one row per candidate match,
+ *                            containing its DTW dissimilarity, start image index and end image index.
+ * @param {List|Image} doy_list: The Day of Year of each image of the time series, either as a list,
+ *                              or as a 1-D array image if the Day of Year varies per pixel.
+ * @param {Number} matches_no: The number of matches to return.
+ * @param {String} output_type: The output data type of the DTW dissimilarity, as expected by _castOutput.
+ * @param {Number} output_scale: The scale factor of the 'scaled' output data type.
+ * @returns {Image} An image with the 'DTW', 'start_doy' and 'end_doy' bands for the best match,
+ *                  and the same bands suffixed with '_1', '_2', ... for the following matches.
+ *                  Matches are masked if no non-overlapping match is left.
+ * @ignore
+ */
+var _subsequenceMatches = function(candidates, doy_list, matches_no, output_type, output_scale){
+  var no_match = 1e12;
+  var doy_arr = doy_list instanceof ee.Image ? doy_list : ee.Image(ee.Array(ee.List(doy_list)));
+
+  // Dummy candidate, selected once no non-overlapping match is left
+  candidates = candidates.arrayCat(ee.Image(ee.Array([[no_match, -1, -1]])), 0);
+
+  var matches = ee.Image([]);
+  for (var m = 0; m < matches_no; m++) {
+    var sorted = candidates.arraySort(candidates.arraySlice(1, 0, 1));
+    var best = sorted.arraySlice(0, 0, 1).arrayProject([1]).arrayFlatten([['DTW', 'start', 'end']]);
+    var valid = best.select('DTW').lt(no_match);
+    var suffix = m === 0 ? '' : '_' + m;
+
+    matches = matches.addBands(_castOutput(best.select('DTW'), output_type, output_scale).rename('DTW' + suffix)
+                               .addBands(doy_arr.arrayGet(best.select('start').max(0).toInt())
+                                                .toInt16().rename('start_doy' + suffix))
+                               .addBands(doy_arr.arrayGet(best.select('end').max(0).toInt())
+                                                .toInt16().rename('end_doy' + suffix))
+                               .updateMask(valid));
+
+    // Discard the candidates overlapping the selected match, keeping the dummy candidate
+    candidates = candidates.arrayMask(candidates.arraySlice(1, 1, 2).gt(best.select('end'))
+                                      .or(candidates.arraySlice(1, 2, 3).lt(best.select('start')))
+                                      .or(candidates.arraySlice(1, 0, 1).gte(no_match)));
+  }
+
+  return matches;
+};
+
+/**
+ * Label each pixel by a vote among its k nearest patterns (k-NN) across all classes, rather than by its single nearest pattern.
+ * Ties between classes are broken by the distance of their nearest pattern.
+ * @param {List} pattern_images: The list of images of each class, with the 'pattern_dists' band (1-D array image of
+ *                               the DTW dissimilarity of each pattern of the class) and the 'pattern_classes' band
+ *                               (1-D array image of the same length, filled with the class).
+ * @param {List} classes: The list of classes (as strings), in the same order as the images.
+ * @param {Number} k: The number of nearest patterns voting.
+ * @param {String} vote_type: Whether 'majority' (one vote per pattern) or 'weighted' (votes weighted by the inverse distance).
+ * @returns {Image} An image with the 'classification' band (the class with the highest vote fraction),
+ *                  the 'score' band (the DTW dissimilarity of the nearest pattern of the winning class),
+ *                  and one 'votes_<class>' band per class with the fraction of the votes it received.
+ * @ignore
+ */
+var _knnVote = function(pattern_images, classes, k, vote_type){
+  pattern_images = ee.List(pattern_images);
+
+  // Pool the patterns of all classes, and keep the k nearest ones
+  var pooled = ee.Image(pattern_images.slice(1).iterate(function(img, previous){
+    return ee.Image(previous).arrayCat(img, 0);
+  }, ee.Image(pattern_images.get(0))));
+  var dists = pooled.select('pattern_dists');
+  var nearest_dists = dists.arraySort().arraySlice(0, 0, k);
+  var nearest_classes = pooled.select('pattern_classes').arraySort(dists).arraySlice(0, 0, k);
+
+  var weights = vote_type === 'weighted' ? nearest_dists.max(1e-6).pow(-1) : nearest_dists.multiply(0).add(1);
+  var total = weights.arrayReduce(ee.Reducer.sum(), [0]).arrayGet([0]);
+
+  var votes = ee.List(classes).map(function(key){
+    var in_class = nearest_classes.eq(ee.Number.parse(key));
+    var fraction = weights.multiply(in_class).arrayReduce(ee.Reducer.sum(), [0]).arrayGet([0]).divide(total);
+    // The distance of the nearest pattern of the class, if any among the k nearest ones
+    var nearest = nearest_dists.add(in_class.not().multiply(1e12)).arrayReduce(ee.Reducer.min(), [0]).arrayGet([0]);
+
+    return fraction.rename('votes')
+                   .addBands(nearest.rename('score'))
+                   .addBands(ee.Image(ee.Number.parse(key)).rename('classification'))
+                   .toDouble()
+                   .set('band_name', ee.String('votes_').cat(key));
+  });
+
+  // Rank the classes by vote fraction, then by the distance of their nearest pattern in case of ties
+  var max_votes = ee.ImageCollection(votes).select('votes').max();
+  var array = ee.ImageCollection(votes.map(function(img){
+    img = ee.Image(img);
+    var rank = img.select('score').add(img.select('votes').lt(max_votes).multiply(1e13)).rename('rank');
+    return rank.addBands(img.select(['score', 'classification']));
+  })).toArray();
+  var best = array.arraySort(array.arraySlice(1, 0, 1))
+                  .arraySlice(0, 0, 1)
+                  .arrayProject([1])
+                  .arrayFlatten([['rank', 'score', 'classification']]);
+
+  var vote_bands = ee.Image(votes.iterate(function(img, previous){
+    img = ee.Image(img);
+    return ee.Image(previous).addBands(img.select('votes').rename(ee.List([img.get('band_name')])));
+  }, ee.Image([])));
+
+  return best.select(['classification', 'score']).addBands(vote_bands);
+};
+
+/**
+ * Convert the time series of a signature/pattern feature to an image collection of constant images,
+ * carrying the 'doy' metadata property, so that it can be classified as a pixel of an image time series.
+ * @param {Feature} feature: A feature of the signatures/patterns feature collection.
+ * @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ * @param {Number} patterns_len: The length of the reference pattern time series.
+ * @param {List} band_names: The list of band names containing the pattern/signature values, as expected by prepareSignatures.
+ * @returns {ImageCollection}
+ * @ignore
+ */
+var _featureToCollection = function(feature, band_no, patterns_len, band_names){
+  feature = ee.Feature(feature);
+  band_names = ee.List(band_names);
+
+  return ee.ImageCollection(ee.List.sequence(0, patterns_len - 1).map(function(t){
+    t = ee.Number(t);
+    var values = ee.List.sequence(0, band_no - 1).map(function(n){
+      return feature.get(band_names.get(ee.Number(n).multiply(patterns_len).add(t)));
+    });
+    var doy = feature.get(band_names.get(t.add(band_no * patterns_len)));
+
+    return ee.Image.constant(values).toInt16().set('doy', doy);
+  }));
+};
+
+/**
+ * Convert the aggregated time series of an object (e.g. an image segment) to an image collection of constant images,
+ * carrying the 'doy' metadata property, so that it can be classified as a pixel of an image time series.
+ * The null values (i.e. timestamps without any valid observation in the object) are masked.
+ * @param {List} values: The values of the time series, ordered by image then by band.
+ * @param {List} doy_list: The Day of Year of each image of the time series.
+ * @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ * @returns {ImageCollection}
+ * @ignore
+ */
+var _valuesToCollection = function(values, doy_list, band_no){
+  values = ee.List(values);
+  doy_list = ee.List(doy_list);
+
+  return ee.ImageCollection(ee.List.sequence(0, doy_list.length().subtract(1)).map(function(t){
+    var start = ee.Number(t).multiply(band_no);
+    var band_values = values.slice(start, start.add(band_no));
+    var mask = band_values.map(function(value){return ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), 0, 1)});
+    var filled = band_values.map(function(value){return ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), 0, value)});
+
+    return ee.Image.constant(filled).updateMask(ee.Image.constant(mask)).toInt16().set('doy', doy_list.get(t));
+  }));
+};
+
+/**
+ * The arbitrary location at which the images computed from constant images are sampled.
+ * @returns {Geometry} A point geometry.
+ * @ignore
+ */
+var _constantPoint = function(){
+  return ee.Geometry.Point([0, 0]);
+};
+
+/**
+ * Retrieve the values of an image computed from constant images, e.g. the DTWDist output of a collection built
+ * by _featureToCollection or _valuesToCollection, by sampling it at an arbitrary location.
+ * @param {Image} img: The image to sample.
+ * @returns {Dictionary} A dictionary mapping each band name to its value.
+ * @ignore
+ */
+var _constantValues = function(img){
+  return ee.Image(img).reduceRegion({reducer: ee.Reducer.first(), geometry: _constantPoint(), scale: 1000});
+};
+
+/**
+ * Prepare the patterns of each class of the signatures/patterns feature collection, as used by classify:
+ * the signatures of each class are converted to an array, normalised if requested, and optionally averaged
+ * into prototypes with DBA.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {Dictionary} options: The classify options.
+ * @param {Dictionary} norm_stats: The normalisation statistics, or null if the patterns are not normalised.
+ * @returns {Dictionary} A dictionary mapping each class to its array of patterns of dimension [k, n, t].
+ * @ignore
+ */
+var _classPatterns = function(signatures, class_property, options, norm_stats){
+  // Create a dictionary mapping each class to its number of reference signatures
+  var class_histogram = signatures.aggregate_histogram(class_property);
+
+  return class_histogram.map(function(key, val){
+    var patterns_arr = exports.prepareSignatures(signatures,
+                                                 class_property,
+                                                 ee.Number.parse(key),
+                                                 options.band_no,
+                                                 options.patterns_len,
+                                                 options.band_names);
+    if (norm_stats) {
+      patterns_arr = exports.normalizePatterns(patterns_arr, norm_stats);
+    }
+
+    if (options.prototypes_no) {
+      patterns_arr = exports.DBA(patterns_arr, {prototypes_no: options.prototypes_no,
+                                                iterations: options.iterations,
+                                                patterns_no: val,
+                                                band_no: options.band_no,
+                                                patterns_len: options.patterns_len});
+    }
+
+    return patterns_arr;
+  });
+};
+
+/**
+ * Check that the scores of the images can be compared with the reject thresholds, which are calibrated on the signatures,
+ * i.e. on time series of 'patterns_len' images: the raw dissimilarities grow with the length of the warping path,
+ * so time series of another length must be compared per warping path cell ('path_normalized' option).
+ * @param {Dictionary} options: The classify options.
+ * @ignore
+ */
+var _checkRejectOptions = function(options){
+  if ((options.reject_percentile || options.reject_thresholds) && !options.path_normalized
+      && options.timeseries_len !== options.patterns_len) {
+    throw new Error('The reject option requires the \'path_normalized\' option if \'timeseries_len\' ('
+                    + options.timeseries_len + ') differs from \'patterns_len\' (' + options.patterns_len
+                    + '), as the thresholds are calibrated on the signatures');
+  }
+};
+
+/**
+ * Classify each pixel of an image time series from the patterns of each class, as done by classify,
+ * running DTWDist once for each class.
+ * @param {Dictionary} class_patterns: A dictionary mapping each class to its array of patterns, as returned by _classPatterns.
+ * @param {ImageCollection} timeseries_col: An image collection with t number of images, already normalised if requested.
+ * @param {Dictionary} options: The classify options.
+ * @param {Dictionary} thresholds: The per-class thresholds of the reject option, or null.
+ * @returns {Image} The classification image, with the bands described in classify.
+ * @ignore
+ */
+var _classifyImages = function(class_patterns, timeseries_col, options, thresholds){
+  // Whether the scores are compared with the reject thresholds per warping path cell
+  var normalized = Boolean(thresholds) && Boolean(options.path_normalized);
+
+  // Compute the class-wise DTW distance, iterating over each class
+  var dtw_image_list = class_patterns.map(function(key, patterns_arr){
+    key = ee.Number.parse(key);
+    patterns_arr = ee.Array(patterns_arr);
+
+    var dtw_options = _copyOptions(options, {patterns_no: patterns_arr.length().get([0]),
+                                             return_path: false,
+                                             path_normalized: normalized,
+                                             pattern_dists: Boolean(options.knn),
+                                             // The patterns and images are already normalised
+                                             norm_stats: null,
+                                             // The dissimilarities are compared at full precision,
+                                             // and only cast once the classes are ranked
+                                             output_type: 'float'});
+
+    var dtw_image = exports.DTWDist(patterns_arr, timeseries_col, dtw_options);
+
+    var class_image;
+    if (options.knn) {
+      // Keep the dissimilarity of every pattern along with its class, for the k-NN vote across all classes
+      var dists = dtw_image.select('pattern_dists');
+      class_image = dists.addBands(dists.multiply(0).add(key).rename('pattern_classes'));
+    } else {
+      class_image = dtw_image.select('DTW')
+                    .rename('dtw')
+                    // Add class band corresponding to the class computed, to generate the hard classification map
+                    .addBands(ee.Image(key).rename('band'))
+                    .toDouble();
+    }
+
+    if (normalized) {
+      // The path-normalised dissimilarity of the class, compared with its reject threshold
+      class_image = class_image.addBands(dtw_image.select('DTW_norm').toDouble().rename('dtw_norm'))
+                               .addBands(ee.Image(key).rename('norm_class'));
+    }
+
+    return class_image;
+  });
+
+  var output_type = options.output_type || 'uint16';
+  var output_scale = options.output_scale || 100;
+  var best;
+  var other_bands;
+
+  if (options.knn) {
+    best = _knnVote(dtw_image_list.values().map(function(img){
+                      return ee.Image(img).select(['pattern_dists', 'pattern_classes']);
+                    }),
+                    class_patterns.keys(),
+                    options.knn,
+                    options.vote_type || 'majority');
+    other_bands = best.select('votes_.*').toFloat();
+  } else {
+    // Turn image collection into an array, and sort it by the first band (DTW dissimilarity score), keeping other bands
+    var array = ee.ImageCollection(dtw_image_list.values()).select(['dtw', 'band']).toArray();
+    var axes = {image:0, band:1};
+    var sorted = array.arraySort(array.arraySlice(axes.band, 0, 1));
+
+    // Take the two lowest dissimilarity scores and convert them back to an image
+    best = sorted.arraySlice(axes.image, 0, 1).arrayProject([axes.band]).arrayFlatten([['score', 'classification']]);
+    var second = sorted.arraySlice(axes.image, 1, 2).arrayProject([axes.band]).arrayFlatten([['score', 'runner_up']]);
+
+    other_bands = second.select('runner_up').toUint16()
+                        .addBands(_castOutput(second.select('score').subtract(best.select('score')).rename('margin'),
+                                              output_type, output_scale));
+  }
+
+  var labels = best.select('classification');
+
+  // Reject the pixels whose score exceeds the threshold of their class
+  if (thresholds) {
+    thresholds = ee.Dictionary(thresholds);
+    var threshold = labels.remap(thresholds.keys().map(function(key){return ee.Number.parse(key)}),
+                                 thresholds.values(),
+                                 1e12);
+    var reject_score = best.select('score');
+    if (normalized) {
+      // The path-normalised dissimilarity of the winning class
+      reject_score = ee.ImageCollection(dtw_image_list.values().map(function(img){
+        img = ee.Image(img);
+        return img.select('dtw_norm').updateMask(img.select('norm_class').eq(labels));
+      })).min();
+    }
+    labels = labels.where(reject_score.gt(threshold), options.unknown_class || 0);
+  }
+
+  return labels.toUint16()
+               .addBands(_castOutput(best.select('score'), output_type, output_scale))
+               .addBands(other_bands);
+};
+
+/**
+ * Remove a band from each image of a time series, e.g. the per-pixel Day of Year band ('doy_band' option of DTWDist).
+ * @param {ImageCollection} timeseries_col: The image time series.
+ * @param {String} band: The name of the band to remove.
+ * @returns {ImageCollection}
+ * @ignore
+ */
+var _dropBand = function(timeseries_col, band){
+  return ee.ImageCollection(timeseries_col).map(function(img){
+    return img.select(img.bandNames().remove(band));
+  });
+};
+
+/**
+ * Stack the values of an image time series into a single image, with one band per image and band,
+ * named 'v0', 'v1', ... and ordered by image then by band, as expected by _valuesToCollection.
+ * @param {ImageCollection} timeseries_col: An image collection with t number of images, as expected by DTWDist.
+ * @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ * @param {Number} timeseries_len: The length of the image time series.
+ * @returns {Image}
+ * @ignore
+ */
+var _valueStack = function(timeseries_col, band_no, timeseries_len){
+  var value_names = ee.List.sequence(0, ee.Number(timeseries_len).multiply(band_no).subtract(1)).map(function(n){
+    return ee.String('v').cat(ee.Number(n).format('%d'));
+  });
+
+  return ee.ImageCollection(timeseries_col)
+         .map(function(img){return img.select(ee.List.sequence(0, ee.Number(band_no).subtract(1)))})
+         .toBands()
+         .rename(value_names);
+};
+
+/**
+ * Append to each image of a time series the derivative of its bands, as estimated by Keogh & Pazzani (2001)
+ * for Derivative DTW, i.e. the average of the slope to the previous image and of the slope between the previous
+ * and next images, the first and last images taking the derivative of their neighbour.
+ * The Derivative DTW approach is taken from: Keogh, E. J., & Pazzani, M. J. (2001).
+ *                                            Derivative dynamic time warping. In Proceedings of the 2001 SIAM
+ *                                            international conference on data mining (pp. 1-11).
+ * @param {ImageCollection} timeseries_col: An image collection with t number of images (t >= 3), as expected by DTWDist.
+ * @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ * @param {Number} timeseries_len: The length of the image time series.
+ * @returns {ImageCollection} The image collection with the first 'band_no' bands (any further band being removed),
+ *                            followed by their derivative bands, suffixed with '_deriv'.
+ * @ignore
+ */
+var _derivativeImages = function(timeseries_col, band_no, timeseries_len){
+  var ts_list = timeseries_col.toList(timeseries_len);
+  var _valueBands = function(index){
+    return ee.Image(ts_list.get(index)).select(ee.List.sequence(0, ee.Number(band_no).subtract(1)));
+  };
+
+  return ee.ImageCollection(ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).map(function(i){
+    var img = _valueBands(i);
+    var c = ee.Number(i).max(1).min(ee.Number(timeseries_len).subtract(2));
+    var x0 = _valueBands(c.subtract(1)).toDouble();
+    var x1 = _valueBands(c).toDouble();
+    var x2 = _valueBands(c.add(1)).toDouble();
+
+    var deriv = x1.subtract(x0).add(x2.subtract(x0).divide(2)).divide(2);
+    return img.addBands(deriv.rename(img.bandNames().map(function(band){return ee.String(band).cat('_deriv')})));
+  }));
+};
+
+/**
+ * Compute the derivative of the bands of a patterns array, as _derivativeImages does for the images.
+ * @param {Array} patterns_arr: An array of dimension [k, n, t] (t >= 3), as produced by prepareSignatures.
+ * @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ * @returns {Array} An array of dimension [k, n - 1, t], without the Day of Year band.
+ * @ignore
+ */
+var _derivativeArray = function(patterns_arr, band_no){
+  var values = ee.Array(patterns_arr).toDouble().slice(1, 0, band_no);
+  var x0 = values.slice(2, 0, -2);
+  var x1 = values.slice(2, 1, -1);
+  var x2 = values.slice(2, 2);
+
+  var deriv = x1.subtract(x0).add(x2.subtract(x0).divide(2)).divide(2);
+  return ee.Array.cat([deriv.slice(2, 0, 1), deriv, deriv.slice(2, -1)], 2);
+};
+
+/**
+ * Normalise the values of an array image time series with the per-band normalisation statistics, as normalizeImages does.
+ * @param {Image} timeseries_arr: An array image of dimension [t, n], with n the number of bands (excluding the Day of Year).
+ * @param {Dictionary} norm_stats: The per-band normalisation statistics, as returned by normStats.
+ * @param {Number} timeseries_len: The length of the image time series.
+ * @returns {Image}
+ * @ignore
+ */
+var _normalizeArrayImage = function(timeseries_arr, norm_stats, timeseries_len){
+  norm_stats = ee.Dictionary(norm_stats);
+  var _rows = function(values){
+    return ee.Image(ee.Array([values])).arrayRepeat(0, timeseries_len);
+  };
+
+  return ee.Image(timeseries_arr).subtract(_rows(norm_stats.get('offset')))
+                                 .divide(_rows(norm_stats.get('scale')))
+                                 .multiply(ee.Number(norm_stats.get('norm_factor')));
+};
+
+/**
+ * Compute the derivative of each band of an array image time series, as _derivativeImages does for an image collection.
+ * @param {Image} timeseries_arr: An array image of dimension [t, n] (t >= 3), with n the number of bands.
+ * @returns {Image} An array image of dimension [t, n].
+ * @ignore
+ */
+var _derivativeArrayImage = function(timeseries_arr){
+  var x0 = timeseries_arr.arraySlice(0, 0, -2);
+  var x1 = timeseries_arr.arraySlice(0, 1, -1);
+  var x2 = timeseries_arr.arraySlice(0, 2);
+
+  var deriv = x1.subtract(x0).add(x2.subtract(x0).divide(2)).divide(2);
+  return deriv.arraySlice(0, 0, 1).arrayCat(deriv, 0).arrayCat(deriv.arraySlice(0, -1), 0);
+};
+
+/**
+ * Accumulate the cost matrix of two sequences stored as arrays with DTW, without time weight nor constraint.
+ * @param {Array} a: An array of dimension [n, t_a], with the last band being the Day of Year.
+ * @param {Array} b: An array of dimension [n, t_b], with the last band being the Day of Year.
+ * @returns {List} The accumulated cost matrix, as a list of dimension [t_a + 1, t_b + 1] padded with a first row
+ *                 and column that cannot be stepped on, its last cell being the Euclidean DTW dissimilarity.
+ * @ignore
+ */
+var _arrayCostMatrix = function(a, b){
+  a = ee.Array(a).toDouble();
+  b = ee.Array(b).toDouble();
+  var a_len = ee.Number(a.length().get([1]));
+  var b_len = ee.Number(b.length().get([1]));
+  var no_step = 1e12;
+
+  // Local cost matrix of dimension [t_a, t_b], excluding the Day of Year band
+  var a_values = a.slice(0, 0, -1).transpose();
+  var b_values = b.slice(0, 0, -1).transpose();
+  var dis_mat = a_values.pow(2).reduce(ee.Reducer.sum(), [1]).repeat(1, b_len)
+                .add(b_values.pow(2).reduce(ee.Reducer.sum(), [1]).transpose().repeat(0, a_len))
+                .subtract(a_values.matrixMultiply(b_values.transpose()).multiply(2))
+                .abs()
+                .sqrt()
+                .toList();
+
+  // Accumulated cost matrix, padded with a first row and column that cannot be stepped on
+  var D_mat = ee.List.repeat(ee.List.repeat(no_step, b_len.add(1)), a_len.add(1));
+  D_mat = D_mat.set(0, ee.List(D_mat.get(0)).set(0, 0));
+
+  D_mat = ee.List(ee.List.sequence(1, a_len).iterate(function(i, previous){
+    i = ee.Number(i);
+    return ee.List.sequence(1, b_len).iterate(function(j, previous){
+      j = ee.Number(j);
+      previous = ee.List(previous);
+      var prev_row = ee.List(previous.get(i.subtract(1)));
+      var row = ee.List(previous.get(i));
+      var dis = ee.Number(prev_row.get(j)).min(row.get(j.subtract(1))).min(prev_row.get(j.subtract(1)))
+                .add(ee.List(dis_mat.get(i.subtract(1))).get(j.subtract(1)));
+      return previous.set(i, row.set(j, dis));
+    }, previous);
+  }, D_mat));
+
+  return D_mat;
+};
+
+/**
+ * Align two sequences stored as arrays with DTW, without time weight nor constraint.
+ * @param {Array} a: An array of dimension [n, t_a], with the last band being the Day of Year.
+ * @param {Array} b: An array of dimension [n, t_b], with the last band being the Day of Year.
+ * @returns {Dictionary} A dictionary with the 'cost' of the alignment (the Euclidean DTW dissimilarity),
+ *                       and the warping path 'W' as a binary array of dimension [t_a, t_b],
+ *                       with 1 for each cell (i, j) of the cost matrix on the path.
+ * @ignore
+ */
+var _arrayDTW = function(a, b){
+  var a_len = ee.Number(ee.Array(a).length().get([1]));
+  var b_len = ee.Number(ee.Array(b).length().get([1]));
+  var D_mat = _arrayCostMatrix(a, b);
+
+  // Backtrack the warping path, taking the diagonal step first in case of ties
+  var path = ee.List(ee.List.sequence(1, a_len.add(b_len).subtract(2)).iterate(function(step, previous){
+    previous = ee.List(previous);
+    var i = ee.Number(previous.get(0));
+    var j = ee.Number(previous.get(1));
+    var done = i.eq(1).and(j.eq(1));
+
+    var diag = ee.Number(ee.List(D_mat.get(i.subtract(1))).get(j.subtract(1)));
+    var up = ee.Number(ee.List(D_mat.get(i.subtract(1))).get(j));
+    var left = ee.Number(ee.List(D_mat.get(i)).get(j.subtract(1)));
+    var go_diag = diag.lte(up).and(diag.lte(left));
+    var go_up = go_diag.not().and(up.lte(left));
+
+    var i_next = i.subtract(go_diag.or(go_up).and(done.not()));
+    var j_next = j.subtract(go_diag.or(go_up.not()).and(done.not()));
+
+    return ee.List([i_next,
+                    j_next,
+                    ee.List(previous.get(2)).cat(ee.Algorithms.If(done, ee.List([]), ee.List([i_next]))),
+                    ee.List(previous.get(3)).cat(ee.Algorithms.If(done, ee.List([]), ee.List([j_next])))]);
+  }, ee.List([a_len, b_len, ee.List([a_len]), ee.List([b_len])])));
+
+  // Convert the path to a binary matrix, as the product of the one-hot encodings of its i and j indices
+  var path_len = ee.List(path.get(2)).length();
+  var one_hot_a = ee.Array(ee.List.sequence(1, a_len)).reshape([1, -1]).repeat(0, path_len)
+                  .eq(ee.Array(path.get(2)).reshape([-1, 1]).repeat(1, a_len));
+  var one_hot_b = ee.Array(ee.List.sequence(1, b_len)).reshape([1, -1]).repeat(0, path_len)
+                  .eq(ee.Array(path.get(3)).reshape([-1, 1]).repeat(1, b_len));
+
+  return ee.Dictionary({'cost': ee.List(D_mat.get(-1)).get(-1),
+                        'W': one_hot_a.transpose().matrixMultiply(one_hot_b)});
+};
+
 /**
  * Compute Dynamic Time Warping dissimilarity for each pixel in the multi-dimensional image array using a list of patterns/signatures.
  * For a deeper understanding of how arrays in GEE work, check out: https://medium.com/google-earth/runs-with-arrays-400de937510a
@@ -17,12 +713,30 @@
  * @param {Array} patterns_arr: An array of dimension [k, n, t],
  *                              with k the number of patterns, n number of bands (with the last band being the Day of Year),
  *                              and t the number of timestamps in the time series.
- * @param {ImageCollection} timeseries_col: An image collection with t number of images. Each image has n bands.
+ * @param {ImageCollection|Image} timeseries_col: An image collection with t number of images. Each image has n bands.
                                             The image collection must contain the 'doy' metadata property,
                                             corresponding to the Day of Year of the image,
                                             which must match the last Day of Year band of the 'patterns_arr' array.
-                                            Moreover, all images must be unmasked (i.e. not contain missing values).
+                                            Moreover, all images must be unmasked (i.e. not contain missing values),
+                                            unless the 'gap_mode' option is provided.
+                                            Alternatively, an array image of dimension [t, n] as produced by prepareBands,
+                                            i.e. one row per timestamp, the first n - 1 columns being the bands
+                                            (any further column, such as the Day of Year, being ignored), along with
+                                            the 'doy_list' option. The local costs are then computed one row at a time
+                                            with array operations, which shrinks the computation graph.
+                                            As the array image has no per-observation mask, 'gap_mode' is ignored.
  * @param {Dictionary} options: The options consist of the following parameters:
+ *                              - @param {List} doy_list: The Day of Year of each timestamp of the array image input.
+ *                                If not provided, the last column of the array image (i.e. the Day of Year column of
+ *                                prepareBands) is used as a per-pixel Day of Year, and 'timeseries_len' is required.
+ *                              - @param {String} doy_band: The name of a per-pixel Day of Year band of the images, e.g. the
+ *                                acquisition date of mosaics or composites, which varies across orbit overlaps.
+ *                                The time weights, time constraints and matched Day of Year are then computed pixel by pixel
+ *                                from this band (excluded from the compared bands), rather than from the 'doy' property,
+ *                                which is then only used to find the previous image for the 'angular' distance.
+ *                                The band must be expressed like the 'doy' property, i.e. relative to the same date as the patterns.
+ *                                The functions working on sampled or aggregated time series (DTWObjects, DTWDistPoints,
+ *                                rejectThresholds and assess) leave this option out, and use the 'doy' property.
  *                              - @param {Number} patterns_no: Number of patterns to iterate over.
  *                                If not specified, the patterns number is computed from the patterns array
  *                                (as long as function is not used inside of a mapping routine, will fail if not provided).
@@ -37,12 +751,48 @@
                                   (as long as function is not used inside of a mapping routine, will fail if not provided).
  *                              - @param {String} constraint_type: The type of time constraint to use,
  *                                whether 'time-weighted' or 'time-constrained'.
- *                              - @param {String} weight_type: The type of weight to apply for the 'time-weighted' approach.
+ *                                The index-based global path constraints from the DTW literature can also be used:
+ *                                'sakoe-chiba' for the Sakoe-Chiba band, and 'itakura' for the Itakura parallelogram.
+ *                                Cells outside of the band/parallelogram are never computed nor part of the warping path.
+ *                              - @param {String|Function} weight_type: The type of weight to apply for the 'time-weighted' approach,
+ *                                as a function of the time difference dt (in days) between an image and a pattern timestamp:
+ *                                'logistic': 1 / (1 + exp(alpha * (dt - beta))), the weight increasing steeply around beta days,
+ *                                'linear': alpha * dt + weight_offset,
+ *                                'gaussian': 1 - exp(-dt^2 / (2 * beta^2)), beta being the standard deviation (in days),
+ *                                'asymmetric': the logistic weight with a midpoint of 'beta_late' days if the image
+ *                                is later than the pattern timestamp, and of 'beta_early' days if it is earlier,
+ *                                e.g. to tolerate late sowing more than early sowing.
+ *                                A custom weight can also be provided as a function taking as argument the signed time difference
+ *                                (positive if the image is later than the pattern timestamp) as an ee.Number,
+ *                                and returning the weight as an ee.Number, e.g. function(dt){return dt.abs().divide(100)}.
+ *                                With a per-pixel Day of Year ('doy_band') or an array image input, the time difference
+ *                                is an image instead, so the function must only use methods shared by ee.Number and ee.Image.
+ *                                Unknown weight types and non-positive parameters throw an error at call time.
  *                                Defaults to 'logistic' as it represents natural and phenological cycles better.
  *                                Ignored if 'time-constrained' is chosen as constraint type.
- *  *                           - @param {String} distance_type: The type of distance to apply for the dissimilarity calculation.
- *                                Defaults to 'euclidean', but 'angular' can also be provided to compute the angular distance
- *                                as specified by the Spectral Angle Mapper (SAM).
+ *                              - @param {Number} weight_offset: The offset of the 'linear' weight. Defaults to 'beta',
+ *                                as in former versions where beta was used as the offset.
+ *                              - @param {Number} beta_early: The midpoint (in days) of the 'asymmetric' weight for the images
+ *                                earlier than the pattern timestamp. Defaults to 'beta'.
+ *                              - @param {Number} beta_late: The midpoint (in days) of the 'asymmetric' weight for the images
+ *                                later than the pattern timestamp. Defaults to 'beta'.
+ *                              - @param {String|Function} distance_type: The type of distance to apply for the dissimilarity calculation
+ *                                between the bands of an image and of a pattern timestamp. Defaults to 'euclidean', but the following
+ *                                can also be provided: 'manhattan' (sum of absolute differences), 'chebyshev' (maximum absolute difference),
+ *                                'cosine' (1 minus the cosine similarity of the band vectors), and 'angular' to compute the angular distance
+ *                                as specified by the Spectral Angle Mapper (SAM) between consecutive timestamps.
+ *                                A custom distance can also be provided as a function taking as arguments the image values
+ *                                and the pattern values, both as 1-D array images of length 'band_no', and returning
+ *                                a 1-element array image (or a single-band image) with the distance, e.g.
+ *                                function(x, y){return x.subtract(y).abs().arrayReduce(ee.Reducer.max(), [0])}.
+ *                                With an array image input, custom distances are given the values of an image and of all
+ *                                the pattern timestamps at once, as array images of dimension [band_no, patterns_len],
+ *                                and must reduce them along the first axis (as in the example above).
+ *                                Distances apply to all constraint types.
+ *                              - @param {List} band_weights: The weight of each band (excluding the Day of Year band)
+ *                                in the distance calculation, e.g. to balance bands of different units
+ *                                such as backscatter in dB and reflectance. Ignored by custom distances.
+ *                                Defaults to a weight of 1 for all bands.
  *                              - @param {Number} beta: The Beta parameter of the time-weighted approach,
  *                                                      defining the tolerance of the function.
  *                                                      If 'time-constrained' is defined, beta is the constraint period.
@@ -50,56 +800,353 @@
  *                              - @param {Number} alpha: The Alpha parameter of the time-weighted approach,
  *                                                       defining the steepness of the logistic function used.
  *                                                       Defaults to 0.1.
+ *                              - @param {Boolean} cyclic_doy: Whether to compute the time differences on a cyclic year,
+ *                                i.e. modulo 'year_length', so that e.g. 30 December and 2 January are 3 days apart,
+ *                                for seasons crossing 1 January. Applies to both the 'time-weighted'
+ *                                and 'time-constrained' constraint types. Defaults to false.
+ *                              - @param {Number} season_start: The Day of Year of the season start (e.g. 305 for 1 November).
+ *                                If provided, the Day of Year of both the patterns and the images are expressed as days
+ *                                relative to the season start (modulo 'year_length') before computing time differences,
+ *                                so that e.g. a November to April season is handled as a continuous time axis.
+ *                                Defaults to none (Day of Year used as is).
+ *                              - @param {Number} year_length: The number of days in a year for the cyclic Day of Year computations.
+ *                                Defaults to 365.
+ *                              - @param {Number} window: The half-width of the Sakoe-Chiba band (in number of timestamps),
+ *                                                        i.e. the maximum deviation allowed from the diagonal of the cost matrix.
+ *                                                        Only used if 'sakoe-chiba' is defined. Defaults to 1.
+ *                              - @param {Number} slope: The maximum slope of the Itakura parallelogram (must be greater than 1).
+ *                                                       Only used if 'itakura' is defined. Defaults to 2.
+ *                              - @param {String} gap_mode: How to handle masked observations (e.g. clouds) in the time series,
+ *                                whether 'skip' to skip the masked images in the alignment of the pixel,
+ *                                or 'penalty' to replace their local cost with 'gap_penalty'. If provided,
+ *                                a 'valid_obs' band counting the valid (unmasked) observations of each pixel is added
+ *                                to the output image. With the 'sakoe-chiba' and 'itakura' constraint types,
+ *                                whose constraints are defined on image indices, masked observations always carry the penalty.
+ *                                Defaults to none, i.e. masked observations result in masked outputs.
+ *                              - @param {Number} gap_penalty: The local cost of masked observations, if 'gap_mode' is 'penalty'.
+ *                                Defaults to 0.
+ *                              - @param {Boolean} open_boundary: Whether to use the open-begin/open-end (subsequence) alignment
+ *                                of Maus et al. (2016), so that a short pattern can be found anywhere in a longer time series.
+ *                                If true, the output image contains the 'DTW' band with the dissimilarity of the best match,
+ *                                and the 'start_doy' and 'end_doy' bands with the Day of Year of the first and last images
+ *                                of the match. Only applies to the 'time-weighted' and 'time-constrained' constraint types,
+ *                                and the 'return_path' option is ignored. Defaults to false.
+ *                              - @param {Number} matches_no: The number of non-overlapping matches to return if 'open_boundary' is true,
+ *                                e.g. 2 for one match per season in a double-cropping system. The bands of the matches
+ *                                following the best match are suffixed with '_1', '_2', ..., and masked where no
+ *                                non-overlapping match is left. Defaults to 1.
+ *                              - @param {Dictionary} norm_stats: The per-band normalisation statistics, as returned by normStats.
+ *                                If provided, both the patterns and the images are normalised before the distance computation.
+ *                                Defaults to none (values used as is).
+ *                              - @param {String} output_type: The data type of the DTW dissimilarity bands, whether 'uint16'
+ *                                (saturating at 65535, including the 1e6 cost of the time-constrained out-of-window cells),
+ *                                'float', or 'scaled' for an unsigned 32-bit integer of the dissimilarity multiplied
+ *                                by 'output_scale', which is stated in the 'DTW_scale' property of the output image.
+ *                                Defaults to 'uint16'.
+ *                              - @param {Number} output_scale: The scale factor of the 'scaled' output data type. Defaults to 100.
+ *                              - @param {Boolean} path_normalized: Whether to add a 'DTW_norm' band with the dissimilarity
+ *                                of the best-matching pattern divided by the length (number of cells) of its warping path,
+ *                                so that dissimilarities of time series and patterns of different lengths can be compared.
+ *                                Cast to the 'output_type' as the 'DTW' band, so a 'float' or 'scaled' output is advised.
+ *                                Ignored if 'open_boundary' is true. Defaults to false.
+ *                              - @param {Number} derivative_weight: The weight (between 0 and 1) of the Derivative DTW distance
+ *                                of Keogh & Pazzani (2001), comparing the local slopes of each band (estimated from the
+ *                                neighbouring timestamps) rather than their values, so that classes following the same curve
+ *                                shape at different amplitudes can be told apart. The local cost is the weighted combination
+ *                                (1 - derivative_weight) * value distance + derivative_weight * derivative distance, the time weight
+ *                                being added afterwards. 1 for Derivative DTW only. The time series and patterns must have
+ *                                at least 3 timestamps. With the 'gap_mode' option, the derivatives of the images next
+ *                                to a masked observation are masked as well. Defaults to 0 (values only).
+ *                              - @param {Boolean} soft: Whether to use the soft-DTW of Cuturi & Blondel (2017), replacing the minimum
+ *                                over the predecessors of each cell of the accumulated cost matrix with a soft-min,
+ *                                so that the dissimilarities vary smoothly, e.g. for less salt-and-pepper classifications
+ *                                or as input to probability calibration. Soft-DTW dissimilarities are lower than
+ *                                the hard ones (and can be negative, thus clamped to 0 by the 'uint16' output type).
+ *                                With 'open_boundary', the start of the matches follows the lowest-cost predecessor,
+ *                                and with 'return_path', the warping path is backtracked through the soft accumulated costs.
+ *                                Defaults to false.
+ *                              - @param {Number} gamma: The smoothing parameter of soft-DTW, the soft-min tending to the minimum
+ *                                as gamma tends to 0 (0 reproducing the hard DTW). Defaults to 1.
+ *                              - @param {Boolean} lb_pruning: Whether to compute a cheap LB_Keogh lower bound of the dissimilarity
+ *                                of each pattern first, using the pattern timestamps less than 'beta' days away from each image
+ *                                (or the global constraint region of 'sakoe-chiba' and 'itakura') as the envelope. The patterns
+ *                                are then processed in turn, and the pixels where the lower bound of a pattern exceeds
+ *                                the best dissimilarity so far are masked out of its output. Earth Engine computes every pixel
+ *                                of an image, masked or not, so the accumulated cost recursion of a pattern is only skipped
+ *                                (with ee.Algorithms.If) when it is pruned over the whole 'pruning_region', e.g. the single
+ *                                location of the constant time series of DTWObjects, DTWDistPoints and assess. Without
+ *                                'pruning_region', nothing is saved. The 'DTW' band is exactly the same as without pruning,
+ *                                and a 'pruned' band with the number of patterns pruned for each pixel is added to the output
+ *                                image. The bound relies on non-negative local costs, which only the built-in distances
+ *                                guarantee, so custom distance functions throw an error at call time, as do 'open_boundary',
+ *                                'soft', 'pattern_dists', 'return_path' and 'path_normalized', and a per-pixel Day of Year,
+ *                                which the pruning does not support. Defaults to false.
+ *                              - @param {Geometry} pruning_region: The region over which a pattern must be pruned
+ *                                for its recursion to be skipped with 'lb_pruning'. Checking it runs a reduceRegion
+ *                                per pattern, so it should be small, or coarsely sampled ('pruning_scale' option).
+ *                                Defaults to null (no skipping).
+ *                              - @param {Number} pruning_scale: The scale in meters of the 'pruning_region' check.
+ *                                Defaults to 10.
+ *                              - @param {Boolean} pattern_dists: Whether to add a 'pattern_dists' band with the dissimilarity
+ *                                of every pattern (before casting), as a 1-D array image of length 'patterns_no',
+ *                                e.g. for k-nearest-neighbour voting. Ignored if 'open_boundary' is true. Defaults to false.
+ *                              - @param {Boolean} return_path: Whether to backtrack the optimal warping path of the best-matching pattern.
+ *                                If true, the following bands are added to the output image:
+ *                                'pattern': the index (starting from 0) of the best-matching pattern in 'patterns_arr',
+ *                                'path': an array of dimension [l, 2] with the (i, j) pairs of the warping path,
+ *                                        i being the image index in the time series and j the timestamp index in the pattern,
+ *                                        ordered from (0, 0) to (timeseries_len - 1, patterns_len - 1),
+ *                                'D_mat': the accumulated cost matrix of the best-matching pattern,
+ *                                         an array of dimension [timeseries_len, patterns_len],
+ *                                'dis_mat': the local cost matrix of the best-matching pattern,
+ *                                           an array of dimension [timeseries_len, patterns_len].
+ *                                Defaults to false.
  * @returns {Image}
  * @ignore
  */
 exports.DTWDist = function(patterns_arr, timeseries_col, options){
-  // Sort Images in ascending order based on the 'system:time_start' metadata property
-  timeseries_col = ee.ImageCollection(timeseries_col);
+  var array_input = timeseries_col instanceof ee.Image;
+  if (array_input) {
+    timeseries_col = ee.Image(timeseries_col);
+  } else {
+    // Sort Images in ascending order based on the 'system:time_start' metadata property
+    timeseries_col = ee.ImageCollection(timeseries_col);
+  }
+
+  var doy_band = (!array_input && options.doy_band) || null;
+  if (doy_band) {
+    // The per-pixel Day of Year is kept apart from the bands compared with the patterns
+    var doy_images = timeseries_col.select(doy_band).toList(timeseries_col.size());
+    timeseries_col = _dropBand(timeseries_col, doy_band);
+  }
 
   patterns_arr = ee.Array(patterns_arr);
+  if (options.norm_stats) {
+    patterns_arr = exports.normalizePatterns(patterns_arr, options.norm_stats);
+    if (!array_input) {
+      timeseries_col = exports.normalizeImages(timeseries_col, options.norm_stats);
+    }
+  }
   var patterns_no = options.patterns_no || patterns_arr.length().get([0]);
   var band_no = options.band_no || patterns_arr.length().get([1]).subtract(1);
-  var timeseries_len = options.timeseries_len || timeseries_col.size();
+  var doy_list = array_input && options.doy_list ? ee.List(options.doy_list) : null;
+  if (array_input && !doy_list && !options.timeseries_len) {
+    throw new Error('The \'timeseries_len\' option is required for an array image input without \'doy_list\'');
+  }
+  // Whether the Day of Year varies per pixel, i.e. is read from a band or from the array image input
+  var pixel_doy = Boolean(doy_band) || (array_input && !doy_list);
+  var timeseries_len = options.timeseries_len || (array_input ? doy_list.length() : timeseries_col.size());
   var patterns_len = options.patterns_len || patterns_arr.length().get([2]);
   var constraint_type = options.constraint_type || 'time-weighted';
   var weight_type = options.weight_type || 'logistic';
   var distance_type = options.distance_type || 'euclidean';
+  var band_weights = ee.List(options.band_weights || ee.List.repeat(1, band_no));
   var beta = options.beta || 50;
   var alpha = options.alpha || 0.1;
+  var weight_offset = options.weight_offset !== undefined ? options.weight_offset : beta;
+  var beta_early = options.beta_early || beta;
+  var beta_late = options.beta_late || beta;
+  var cyclic_doy = options.cyclic_doy || false;
+  var season_start = options.season_start !== undefined ? options.season_start : null;
+  var year_length = options.year_length || 365;
+  var window = options.window || 1;
+  var slope = options.slope || 2;
+  var index_constrained = constraint_type === 'sakoe-chiba' || constraint_type === 'itakura';
+  var open_boundary = (options.open_boundary && !index_constrained) || false;
+  var matches_no = options.matches_no || 1;
+  var return_path = (options.return_path && !open_boundary) || false;
+  var path_normalized = (options.path_normalized && !open_boundary) || false;
+  var pattern_dists = (options.pattern_dists && !open_boundary) || false;
+  var output_type = options.output_type || 'uint16';
+  var output_scale = options.output_scale || 100;
+  var gap_mode = (!array_input && options.gap_mode) || null;
+  var gap_penalty = options.gap_penalty || 0;
+  var derivative_weight = options.derivative_weight || 0;
+  var soft = (options.soft && options.gamma !== 0) || false;
+  var gamma = options.gamma || 1;
+  var lb_pruning = options.lb_pruning || false;
+  var pruning_region = options.pruning_region || null;
+  var pruning_scale = options.pruning_scale || 10;
+
+  if (constraint_type === 'time-weighted') {
+    DTWClient.checkTimeWeight(options);
+  }
+  if (lb_pruning) {
+    if (typeof distance_type === 'function') {
+      throw new Error('The \'lb_pruning\' option requires a built-in distance type, '
+                      + 'as custom distances are not guaranteed to be non-negative');
+    }
+    [[open_boundary, 'the \'open_boundary\' option'],
+     [soft, 'the \'soft\' option'],
+     [pattern_dists, 'the \'pattern_dists\' option (e.g. the \'knn\' option of classify)'],
+     [return_path || path_normalized, 'the \'return_path\' and \'path_normalized\' options'],
+     [pixel_doy, 'a per-pixel Day of Year (\'doy_band\' option, or array image input without \'doy_list\')']
+    ].forEach(function(conflict){
+      if (conflict[0]) {
+        throw new Error('The \'lb_pruning\' option does not support ' + conflict[1]);
+      }
+    });
+  }
+
+  if (array_input) {
+    // The values of the time series, as an array image of dimension [timeseries_len, band_no]
+    var timeseries_arr = timeseries_col.arraySlice(1, 0, band_no).toDouble();
+    if (options.norm_stats) {
+      timeseries_arr = _normalizeArrayImage(timeseries_arr, options.norm_stats, timeseries_len);
+    }
+  } else {
+    var ts_list = timeseries_col.toList(timeseries_len);
+  }
+
+  if (derivative_weight > 0) {
+    // The derivative bands come after the value bands in the images (or in a separate array image),
+    // and in a separate array for the patterns
+    if (array_input) {
+      var derivatives_ts_arr = _derivativeArrayImage(timeseries_arr);
+    } else {
+      timeseries_col = _derivativeImages(timeseries_col, band_no, timeseries_len);
+      ts_list = timeseries_col.toList(timeseries_len);
+    }
+    var derivatives_arr = _derivativeArray(patterns_arr, band_no);
+  }
 
   var cost_weight;
   var dis_arr;
   var dis_mat;
 
-  // An iterative function providing the distance calculation for the distance matrix.
-  // Currently only supports Euclidean and Angular distances.
-  var _distCalc = function(img, j, k){
+  // Cast the bands of an image starting at band index 'offset' as the patterns are: the values to 16-bit integers,
+  // as by prepareSignatures, and the derivatives (i.e. from band index band_no) to doubles, as by _derivativeArray,
+  // so that the small slopes of normalised or reflectance bands are not truncated
+  var _castValues = function(img, offset){
+    return offset === 0 ? img.toInt16() : img.toDouble();
+  };
 
-    var wrap = function(n, previous2){
-     n = ee.Number(n);
-     previous2 = ee.List(previous2);
+  // The bands of an image starting at band index 'offset', as a 1-D array image of length band_no
+  var _imageArray = function(img, offset){
+    return _castValues(img.select(ee.List.sequence(offset, ee.Number(band_no).add(offset).subtract(1))).toArray(), offset);
+  }
 
-     var x1 = img.select(n.subtract(1)).toArray().toInt16();
-     var y1 = patterns_arr.get(ee.List([ee.Number(k).subtract(1), n.subtract(1), j.subtract(1)]));
+  // Compute the (non-angular) distance between two 1-D array images of length band_no, as a 1-element array image,
+  // or between two array images of dimension [band_no, patterns_len] with the weights 'w' of the same dimension.
+  var _arrayDist = function(x, y, w){
+    w = w || ee.Image(ee.Array(band_weights));
 
-     if (distance_type === 'euclidean') {
-         dis_arr = x1.subtract(y1).pow(2);
-     } else if (distance_type === 'angular') {
-         var img_prev = timeseries_col.filter(ee.Filter.lte('doy', img.get('doy')))
-                                      .limit(2, 'doy', false).sort('doy').first();
-         var x2 = img_prev.select(n.subtract(1)).toArray().toInt16();
-         var y2 = patterns_arr.get(ee.List([ee.Number(k).subtract(1), n.subtract(1), j.subtract(2)]));
-         dis_arr = x1.multiply(y1).add(x2.multiply(y2))
-                       .divide(x1.pow(2).add(x2.pow(2)).sqrt().multiply(y1.pow(2).add(y2.pow(2)).sqrt()))
-                       .acos();
-     }
-     return dis_arr.add(previous2)
-   }
+    if (typeof distance_type === 'function') {
+      return ee.Image(distance_type(x, y));
+    } else if (distance_type === 'euclidean') {
+      dis_arr = x.subtract(y).pow(2).multiply(w).arrayReduce(ee.Reducer.sum(), [0]).sqrt();
+    } else if (distance_type === 'manhattan') {
+      dis_arr = x.subtract(y).abs().multiply(w).arrayReduce(ee.Reducer.sum(), [0]);
+    } else if (distance_type === 'chebyshev') {
+      dis_arr = x.subtract(y).abs().multiply(w).arrayReduce(ee.Reducer.max(), [0]);
+    } else if (distance_type === 'cosine') {
+      var dot = x.multiply(y).multiply(w).arrayReduce(ee.Reducer.sum(), [0]);
+      var x_norm = x.pow(2).multiply(w).arrayReduce(ee.Reducer.sum(), [0]).sqrt();
+      var y_norm = y.pow(2).multiply(w).arrayReduce(ee.Reducer.sum(), [0]).sqrt();
+      // Divisions by 0 return 0, so the distance of a zero vector (e.g. zero-filled bands) is 1
+      dis_arr = dot.divide(x_norm.multiply(y_norm)).multiply(-1).add(1);
+    }
 
-   return wrap
+    return dis_arr;
   }
 
+  // The Day of Year of image i (starting from 0) of the time series,
+  // as a number, or as a (double) image if the Day of Year varies per pixel
+  var _doy = function(i){
+    if (array_input && doy_list) {
+      return ee.Number(doy_list.get(i));
+    } else if (array_input) {
+      return timeseries_col.arraySlice(0, i, ee.Number(i).add(1)).arraySlice(1, -1).arrayGet([0, 0]).toDouble();
+    } else if (doy_band) {
+      return ee.Image(doy_images.get(i)).toDouble();
+    }
+    return ee.Number(ee.Image(ts_list.get(i)).get('doy'));
+  };
+
+  // The bands of image i (starting from 0) of the time series, starting at band index 'offset'
+  // (i.e. band_no for the derivatives), as a 1-D array image of length band_no
+  var _values = function(i, offset){
+    if (array_input) {
+      var arr = offset === 0 ? timeseries_arr : derivatives_ts_arr;
+      return _castValues(arr.arraySlice(0, i, ee.Number(i).add(1)).arrayProject([1]), offset);
+    }
+    return _imageArray(ee.Image(ts_list.get(i)), offset);
+  };
+
+  // The operands of the distance of an image of the time series, given as its index i (starting from 0)
+  // for the array image input, or as an image of the collection otherwise: its bands starting at band index 'offset'
+  // and those of the previous image (for the angular distance), as 1-D array images of length band_no,
+  // and whether it is the first image of the time series.
+  var _operands = function(img, offset){
+    if (array_input) {
+      var i = ee.Number(img);
+      return {x: _values(i, offset), x_prev: _values(i.subtract(1).max(0), offset), first: i.eq(0)};
+    }
+
+    img = ee.Image(img);
+    var t1 = ee.Number(img.get('doy'));
+    var img_prev = timeseries_col.filter(ee.Filter.lte('doy', t1)).limit(2, 'doy', false).sort('doy').first();
+    return {x: _imageArray(img, offset),
+            x_prev: _imageArray(ee.Image(img_prev), offset),
+            first: t1.eq(timeseries_col.first().get('doy'))};
+  };
+
+  // Compute the distance between the operands of an image (see _operands) and the timestamps 'start' (included)
+  // to 'end' (excluded, both starting from 0) of the pattern k (starting from 1) of the array 'arr' at once,
+  // as a 1-D array image of length end - start.
+  var _patternDist = function(operands, k, arr, start, end){
+    // Repeat a 1-D array image of length band_no along the pattern timestamps
+    var _columns = function(values){
+      return values.toArray(1).arrayRepeat(1, ee.Number(end).subtract(start));
+    };
+
+    var pattern = ee.Array(arr).slice(0, ee.Number(k).subtract(1), k).slice(1, 0, band_no).project([1, 2]);
+    var y = pattern.slice(1, start, end);
+    var x = _columns(operands.x);
+    var w = _columns(ee.Image(ee.Array(band_weights)));
+
+    if (distance_type === 'angular') {
+      // The angle between the segments joining the previous image and pattern timestamp to the current ones,
+      // the previous timestamp of the first pattern timestamp being its last one
+      var x2 = _columns(operands.x_prev);
+      var y2 = ee.Array.cat([pattern.slice(1, -1), pattern.slice(1, 0, -1)], 1).slice(1, start, end);
+      var angle = x.multiply(ee.Image(y)).add(x2.multiply(ee.Image(y2)))
+                   .divide(x.pow(2).add(x2.pow(2)).sqrt().multiply(ee.Image(y.pow(2).add(y2.pow(2)).sqrt())))
+                   .acos()
+                   .multiply(w);
+      // The first image has no previous timestamp to compute the angle with
+      return angle.arrayReduce(ee.Reducer.sum(), [0]).arrayProject([1]).multiply(ee.Number(operands.first).not()).sqrt();
+    }
+
+    if (!array_input) {
+      // The image collection input compares a single pattern timestamp, whose values are given to the distance
+      // as a 1-D array image of length band_no, as documented for custom distances
+      return _arrayDist(operands.x, ee.Image(y.project([0])));
+    }
+
+    return _arrayDist(x, ee.Image(y), w).arrayProject([1]);
+  };
+
+  // Compute the local cost between an image of the time series (given as by _operands) and the timestamps 'start'
+  // to 'end' of the pattern k, combining the distance of the values and of the derivatives according
+  // to the derivative weight, as a 1-D array image of length end - start.
+  var _localDist = function(img, k, start, end){
+    var _dist = function(arr, offset){
+      return _patternDist(_operands(img, offset), k, arr, start, end);
+    };
+
+    if (derivative_weight === 0) {
+      return _dist(patterns_arr, 0);
+    }
+
+    var deriv_dis = _dist(derivatives_arr, band_no);
+    if (derivative_weight === 1) {
+      return deriv_dis;
+    }
+
+    return _dist(patterns_arr, 0).multiply(1 - derivative_weight).add(deriv_dis.multiply(derivative_weight));
+  };
+
   var matrix = ee.List.sequence(1, ee.Number(timeseries_len).subtract(1)).map(function(i){
     var matrix_tmp = ee.List.sequence(1, ee.Number(patterns_len).subtract(1)).map(function(j){
       return ee.List([i, j]);
@@ -107,13 +1154,371 @@ exports.DTWDist = function(patterns_arr, timeseries_col, options){
     return matrix_tmp;
   });
 
-  matrix = ee.List(matrix.iterate(function(x, previous){
-    return ee.List(previous).cat(ee.List(x));
-  }, ee.List([])));
+  matrix = ee.List(matrix.iterate(function(x, previous){
+    return ee.List(previous).cat(ee.List(x));
+  }, ee.List([])));
+
+  if (index_constrained) {
+    // Placeholder for the cells outside of the global constraint region, which are never computed
+    var out_of_region = ee.Image(1e12);
+
+    // The range of pattern timestamps [j_min, j_max] allowed for each image of the time series
+    var region_bounds = ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).map(function(i){
+      return _regionBounds(i, timeseries_len, patterns_len, constraint_type, window, slope);
+    });
+
+    var _inRegion = function(i, j){
+      i = ee.Number(i);
+      j = ee.Number(j);
+      var bounds = ee.List(region_bounds.get(i));
+      return i.gte(0).and(j.gte(bounds.get(0))).and(j.lte(bounds.get(1)));
+    };
+
+    // The cells within the global constraint region, in the order they must be computed, excluding the (0, 0) cell
+    var region_cells = ee.List(ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).iterate(function(i, previous){
+      var bounds = ee.List(region_bounds.get(i));
+      var cells = ee.List.sequence(0, ee.Number(patterns_len).subtract(1))
+                  .filter(ee.Filter.rangeContains('item', bounds.get(0), bounds.get(1)))
+                  .map(function(j){return ee.List([i, j])});
+      return ee.List(previous).cat(cells);
+    }, ee.List([]))).slice(1);
+  }
+
+  if (gap_mode) {
+    // Placeholder for the accumulated cost before the first valid observation
+    var no_step = ee.Image(1e12);
+
+    // Whether each image of the time series is valid (i.e. unmasked in all bands)
+    var valid_list = timeseries_col.toList(timeseries_len).map(function(img){
+      return ee.Image(img).select(ee.List.sequence(0, ee.Number(band_no).subtract(1)))
+                          .mask().reduce(ee.Reducer.min()).gt(0).rename('valid');
+    });
+
+    // The accumulated cost of the alignment origin for each image, i.e. 0 as long as no valid observation is found before it
+    var origin_list = ee.List(ee.List.sequence(1, ee.Number(timeseries_len).subtract(1)).iterate(function(i, previous){
+      previous = ee.List(previous);
+      var seen = ee.Image(previous.get(-1)).gt(0).or(ee.Image(valid_list.get(ee.Number(i).subtract(1))));
+      return previous.add(seen.multiply(no_step));
+    }, ee.List([ee.Image(0)])));
+  }
+
+  // Count the valid observations of each pixel
+  var _validObs = function(){
+    return ee.ImageCollection(valid_list).sum().toUint16().rename('valid_obs');
+  };
+
+  // Skip the masked observations in the alignment, carrying over the accumulated cost (or cell) of the previous image
+  var _skipGap = function(i, cell, fallback){
+    if (gap_mode !== 'skip' || index_constrained) {
+      return ee.Image(cell);
+    }
+    return ee.Image(cell).where(ee.Image(valid_list.get(i)).not(), fallback);
+  };
+
+  // Combine the accumulated costs of the predecessors of a cell, i.e. their minimum (hard_min),
+  // or in soft mode their soft-min: -gamma * log(sum(exp(-cost / gamma))), computed relative to the minimum for stability
+  var _minCost = function(costs, hard_min){
+    if (!soft) {
+      return ee.Image(hard_min);
+    }
+
+    var exp_sum = ee.Image(ee.List(costs).iterate(function(img, sum){
+      return ee.Image(sum).add(ee.Image(img).subtract(hard_min).divide(-gamma).exp());
+    }, ee.Image(0)));
+
+    return ee.Image(hard_min).subtract(exp_sum.log().multiply(gamma));
+  };
+
+  // A Day of Year or time difference is either a number, or an image if the Day of Year varies per pixel
+  var _time = function(t){
+    return t instanceof ee.Image ? t : ee.Number(t);
+  };
+
+  // A constant of the same kind (number or image) as the time difference dt
+  var _constant = function(dt, value){
+    return dt instanceof ee.Image ? ee.Image(value) : ee.Number(value);
+  };
+
+  // Compute the signed time difference (in days) between the Day of Year of an image and of a pattern timestamp,
+  // i.e. positive if the image is later than the pattern timestamp,
+  // relative to the season start and/or on a cyclic year if requested
+  var _signedTimeDiff = function(t1, t2){
+    t1 = _time(t1);
+    t2 = _time(t2);
+
+    if (season_start !== null) {
+      t1 = t1.subtract(season_start).mod(year_length).add(year_length).mod(year_length);
+      t2 = t2.subtract(season_start).mod(year_length).add(year_length).mod(year_length);
+    }
+
+    var dt = t1.subtract(t2);
+    if (cyclic_doy) {
+      // The shortest way around the year, i.e. within [-year_length / 2, year_length / 2)
+      var half_year = ee.Number(year_length).divide(2);
+      dt = dt.add(half_year).mod(year_length).add(year_length).mod(year_length).subtract(half_year);
+    }
+
+    return dt;
+  };
+
+  // Compute the (absolute) time difference (in days) between the Day of Year of an image and of a pattern timestamp
+  var _timeDiff = function(t1, t2){
+    return _signedTimeDiff(t1, t2).abs();
+  };
+
+  // Compute the weight of the 'time-weighted' approach between the Day of Year of an image and of a pattern timestamp
+  var _timeWeight = function(t1, t2){
+    var dt = _timeDiff(t1, t2);
+
+    if (typeof weight_type === 'function') {
+      var weight = weight_type(_signedTimeDiff(t1, t2));
+      return dt instanceof ee.Image ? ee.Image(weight) : ee.Number(weight);
+    } else if (weight_type === 'linear') {
+      return dt.multiply(alpha).add(weight_offset);
+    } else if (weight_type === 'gaussian') {
+      return _constant(dt, 1).subtract(dt.pow(2).divide(ee.Number(beta).pow(2).multiply(-2)).exp());
+    }
+
+    var midpoint = ee.Number(beta);
+    if (weight_type === 'asymmetric') {
+      var late = _signedTimeDiff(t1, t2).gt(0);
+      midpoint = late.multiply(beta_late).add(late.not().multiply(beta_early));
+    }
+    return _constant(dt, 1).divide(_constant(dt, 1).add(dt.subtract(midpoint).multiply(alpha).exp()));
+  };
+
+  // Convert the accumulated cost matrix of pattern k to the DTW dissimilarity image
+  var _dtwImage = function(D_mat, dis_mat, k){
+    var dtw_image = _toScalar(ee.List(D_mat.get(-1)).get(-1), 'DTW');
+
+    if (return_path || path_normalized) {
+      // Keep track of the pattern index and the matrices, so the winning pattern can be backtracked
+      dtw_image = dtw_image.addBands(ee.Image(ee.Number(k).subtract(1)).toInt().rename('pattern'))
+                           .addBands(_matrixToArray(D_mat, timeseries_len, patterns_len).rename('D_mat'))
+                           .addBands(_matrixToArray(dis_mat, timeseries_len, patterns_len).rename('dis_mat'));
+    }
+
+    return dtw_image;
+  };
+
+  // Accumulate the cost matrix with open-begin/open-end boundaries, and return the candidate matches ending at each image,
+  // as an array of dimension [timeseries_len, 3] containing the DTW dissimilarity, start image index and end image index.
+  // The start image index is propagated through the recursion along with the accumulated cost.
+  var _subsequenceCandidates = function(dis_mat){
+    var _cell = function(D, S){
+      return ee.Image(D).rename('D').addBands(ee.Image(S).toInt().rename('S'));
+    };
+
+    var D_mat = ee.List([]);
+    var d_mat = D_mat.add(_cell(_skipGap(0, _toScalar(ee.List(dis_mat.get(0)).get(0), 'D'), no_step), 0));
+
+    d_mat = ee.List(ee.List.sequence(1, ee.Number(patterns_len).subtract(1)).iterate(function(j, previous){
+      j = ee.Number(j);
+      previous = ee.List(previous);
+      var dis = ee.Image(previous.get(j.subtract(1))).select('D').add(_toScalar(ee.List(dis_mat.get(0)).get(j), 'D'));
+      return previous.add(_cell(_skipGap(0, dis, no_step), 0));
+    }, d_mat));
+    D_mat = D_mat.add(d_mat);
+
+    // Open begin: the match can start at any image of the time series
+    D_mat = ee.List(ee.List.sequence(1, ee.Number(timeseries_len).subtract(1)).iterate(function(i, previous){
+      i = ee.Number(i);
+      previous = ee.List(previous);
+      var dis = _cell(_toScalar(ee.List(dis_mat.get(i)).get(0), 'D'), ee.Image(i));
+      dis = _skipGap(i, dis, ee.List(previous.get(i.subtract(1))).get(0));
+      return previous.add(ee.List(previous.get(i.subtract(1))).set(0, dis));
+    }, D_mat));
+
+    D_mat = ee.List(ee.List.sequence(0, matrix.length().subtract(1)).iterate(function(x, previous){
+      var i = ee.Number(ee.List(matrix.get(x)).get(0));
+      var j = ee.Number(ee.List(matrix.get(x)).get(1));
+      previous = ee.List(previous);
+      var up = ee.Image(ee.List(previous.get(i.subtract(1))).get(j));
+      var left = ee.Image(ee.List(previous.get(i)).get(j.subtract(1)));
+      var diag = ee.Image(ee.List(previous.get(i.subtract(1))).get(j.subtract(1)));
+
+      var dis = _minCost([diag.select('D'), up.select('D'), left.select('D')],
+                         diag.select('D').min(up.select('D')).min(left.select('D')))
+                .add(_toScalar(ee.List(dis_mat.get(i)).get(j), 'D'));
+      // Same tie-breaking as the warping path backtracking: diagonal first, then up, then left
+      var start = left.select('S').where(up.select('D').lte(left.select('D')), up.select('S'))
+                                  .where(diag.select('D').lte(up.select('D')).and(diag.select('D').lte(left.select('D'))),
+                                         diag.select('S'));
+
+      return previous.set(i, ee.List(previous.get(i)).set(j, _skipGap(i, _cell(dis, start), up)));
+    }, D_mat));
+
+    // Open end: the match can end at any image of the time series, except at the skipped masked observations
+    var candidates = ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).map(function(i){
+      var cell = ee.Image(ee.List(D_mat.get(i)).get(-1));
+      var dis = cell.select('D');
+      if (gap_mode === 'skip') {
+        dis = dis.where(ee.Image(valid_list.get(i)).not(), 1e12);
+      }
+      return dis.addBands(cell.select('S')).addBands(ee.Image(ee.Number(i)).rename('E')).toDouble();
+    });
+
+    return ee.ImageCollection(candidates).toArray().rename('candidates');
+  };
+
+  // Compute the LB_Keogh lower bound of the DTW dissimilarity of pattern k. Every warping path goes through
+  // each image of the time series, whose cheapest cell is either within the window of the pattern timestamps
+  // less than 'beta' days away (or within the global constraint region), bounded by the distance to the envelope
+  // of the window plus its lowest time weight, or outside of it, bounded by the time-constrained penalty, or by
+  // the distance to the envelope of the whole pattern plus the lowest time weight outside of the window.
+  // The envelopes only tighten the bound for the Euclidean, Manhattan and Chebyshev distances, the other distances
+  // being bounded by 0.
+  var _lowerBound = function(k){
+    k = ee.Number(k);
+    var pattern_arr = patterns_arr.slice(0, k.subtract(1), k).project([1, 2]);
+    var pattern_doys = pattern_arr.slice(0, -1).project([1]).toList();
+    var envelope_dist = ['euclidean', 'manhattan', 'chebyshev'].indexOf(distance_type) !== -1;
+
+    // Distance of the bands of image i (starting at band index 'offset') to the envelope of the array 'arr'
+    // of dimension [band_no, patterns_len] over the pattern timestamps of the mask
+    var _envelopeDist = function(i, arr, mask, offset){
+      var masked = ee.Array(arr).mask(ee.Array([mask]));
+      var upper = ee.Image(masked.reduce(ee.Reducer.max(), [1]).project([0]));
+      var lower = ee.Image(masked.reduce(ee.Reducer.min(), [1]).project([0]));
+      var x = _values(i, offset);
+      return _arrayDist(x, x.max(lower).min(upper));
+    };
+
+    var rows = ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).map(function(i){
+      var t1 = _doy(i);
+      var in_window;
+      var in_costs = ee.List.repeat(0, patterns_len);
+      var out_costs;
+
+      if (index_constrained) {
+        var bounds = ee.List(region_bounds.get(i));
+        in_window = ee.List.sequence(0, ee.Number(patterns_len).subtract(1)).map(function(j){
+          return ee.Number(j).gte(bounds.get(0)).and(ee.Number(j).lte(bounds.get(1)));
+        });
+        out_costs = ee.List.repeat(1e12, patterns_len);
+      } else {
+        var dt_list = pattern_doys.map(function(t2){return _timeDiff(t1, t2)});
+        in_window = dt_list.map(function(dt){return ee.Number(dt).lte(beta)});
+        if (constraint_type === 'time-weighted') {
+          in_costs = pattern_doys.map(function(t2){return _timeWeight(t1, t2)});
+          out_costs = in_costs;
+        } else {
+          out_costs = ee.List.repeat(1e6, patterns_len);
+        }
+      }
+
+      // Cheapest time weight within and outside of the window, the absent cells costing 1e12
+      var in_arr = ee.Array(in_window);
+      var in_min = ee.Array(in_costs).add(in_arr.not().multiply(1e12)).reduce(ee.Reducer.min(), [0]).get([0]);
+      var out_min = ee.Array(out_costs).add(in_arr.multiply(1e12)).reduce(ee.Reducer.min(), [0]).get([0]);
+
+      // Distance of the image to the envelope of the pattern timestamps of the mask, combining the values and derivatives
+      var _windowDist = function(mask){
+        var dist = ee.Image(0);
+        if (envelope_dist) {
+          if (derivative_weight < 1) {
+            dist = _envelopeDist(i, pattern_arr.slice(0, 0, band_no), mask, 0).multiply(1 - derivative_weight);
+          }
+          if (derivative_weight > 0) {
+            dist = _envelopeDist(i, derivatives_arr.slice(0, k.subtract(1), k).project([1, 2]), mask, band_no)
+                   .multiply(derivative_weight)
+                   .add(dist);
+          }
+        }
+        return _toScalar(dist, 'LB');
+      };
+
+      // An empty window is bounded by the cells outside of it only, whatever the envelope
+      var all_timestamps = ee.List.repeat(1, patterns_len);
+      var row = _windowDist(ee.List(ee.Algorithms.If(in_window.contains(1), in_window, all_timestamps))).add(in_min);
+      if (constraint_type === 'time-weighted') {
+        return row.min(_windowDist(all_timestamps).add(out_min));
+      }
+      return row.min(out_min);
+    });
+
+    // The masked observations are bounded by 0, whether they are skipped or penalized
+    return ee.ImageCollection(rows).sum();
+  };
+
+  // Compute the local cost matrix of pattern k from the array image input, one image (row) at a time
+  var _arrayDisMat = function(k){
+    k = ee.Number(k);
+    var pattern_doys = patterns_arr.slice(0, k.subtract(1), k).slice(1, -1).project([2]);
+    var columns = ee.List.sequence(0, ee.Number(patterns_len).subtract(1));
+
+    return ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).map(function(i){
+      if (index_constrained) {
+        // Only the pattern timestamps within the global constraint region are computed, as in the image collection path
+        var bounds = ee.List(region_bounds.get(i));
+        var first = ee.Number(bounds.get(0));
+        var last = ee.Number(bounds.get(1));
+        var region_row = _localDist(i, k, first, last.add(1));
+
+        return columns.map(function(j){
+          j = ee.Number(j);
+          return ee.Image(ee.Algorithms.If(j.gte(first).and(j.lte(last)),
+                                           region_row.arraySlice(0, j.subtract(first), j.subtract(first).add(1)),
+                                           out_of_region));
+        });
+      }
+
+      var row = _localDist(i, k, 0, patterns_len);
+      var t1 = _doy(i);
+
+      if (constraint_type === 'time-weighted') {
+        // The Day of Year of the image repeated along the pattern timestamps, so that the time weights
+        // of the whole row are computed at once (and per pixel if the Day of Year varies per pixel)
+        var t1_row = ee.Image(t1).toDouble().toArray().arrayRepeat(0, patterns_len);
+        row = row.add(_timeWeight(t1_row, ee.Image(pattern_doys)));
+
+        // Split the row into the 1-element array images of the cells
+        return columns.map(function(j){
+          return row.arraySlice(0, j, ee.Number(j).add(1));
+        });
+      }
+
+      // The cells outside of the window cost 1e6, as in the image collection path,
+      // replacing (rather than masking) their distance so that non-finite distances do not leak into them
+      var pattern_doy_list = pattern_doys.toList();
+      return columns.map(function(j){
+        var cell = row.arraySlice(0, j, ee.Number(j).add(1));
+        var out_window = _timeDiff(t1, pattern_doy_list.get(j)).gt(beta);
+        if (pixel_doy) {
+          return _toScalar(cell, 'DTW').where(out_window, 1e6);
+        }
+        return ee.Image(ee.Algorithms.If(out_window, ee.Image(1e6), cell));
+      });
+    });
+  };
+
+  var _patternDTW = function(k){
+
+      if (array_input) {
+
+          dis_mat = _arrayDisMat(k);
+
+      } else if (doy_band && !index_constrained) {
+
+          // The time weight or constraint of each cell is computed per pixel from the Day of Year band
+          dis_mat = ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).map(function(i){
+            var img = ee.Image(ts_list.get(i));
+            var t1 = _doy(i);
+
+            return ee.List.sequence(1, patterns_len).map(function(j){
+              j = ee.Number(j);
+              var t2 = patterns_arr.get(ee.List([ee.Number(k).subtract(1), -1, j.subtract(1)]));
+              var dis = _localDist(img, k, j.subtract(1), j);
 
-  var dtw_image_list = ee.List.sequence(1, patterns_no).map(function(k){
+              if (constraint_type === 'time-weighted') {
+                return dis.add(_timeWeight(t1, t2));
+              }
+              // The cells outside of the window cost 1e6, replacing (rather than masking) their distance
+              return _toScalar(dis, 'DTW').where(_timeDiff(t1, t2).gt(beta), 1e6);
+            });
+          });
 
-      if (constraint_type === 'time-constrained') {
+      } else if (constraint_type === 'time-constrained') {
 
           var dt_list = ee.List(timeseries_col.toList(timeseries_col.size()).map(function(img) {
             img = ee.Image(img);
@@ -121,7 +1526,7 @@ exports.DTWDist = function(patterns_arr, timeseries_col, options){
               j = ee.Number(j);
               var t1 = ee.Number(img.get('doy'));
               var t2 = patterns_arr.get(ee.List([ee.Number(k).subtract(1), -1, j.subtract(1)]));
-              var time_arr = t1.subtract(t2).abs();
+              var time_arr = _timeDiff(t1, t2);
               return ee.Feature(null, {
                 'dt': time_arr,
                 'i': t1,
@@ -144,14 +1549,7 @@ exports.DTWDist = function(patterns_arr, timeseries_col, options){
             var dis_list0 = patterns_tmp.map(function(j){
               j = ee.Number(j);
 
-              var dis_sum = ee.Image(ee.List.sequence(1, ee.Number(band_no)).iterate(_distCalc(img, j, k),
-                                                                                     ee.Image(0)));
-
-              if (distance_type === 'angular') {
-                dis_sum = dis_sum.multiply(t1.neq(timeseries_col.first().get('doy')));
-              }
-
-              return dis_sum.sqrt().set('j', j);
+              return _localDist(img, k, j.subtract(1), j).set('j', j);
             });
 
             //iterate over all time steps dt>beta
@@ -185,45 +1583,112 @@ exports.DTWDist = function(patterns_arr, timeseries_col, options){
               //the doy bands come last in the stack
               var t1 = ee.Number(img.get('doy'));
               var t2 = patterns_arr.get(ee.List([ee.Number(k).subtract(1), -1, j.subtract(1)]));
-              var time_arr = t1.subtract(t2).abs();
 
-              var  dis_sum = ee.Image(ee.List.sequence(1, ee.Number(band_no)).iterate(_distCalc(img, j, k),
-                                                                                      ee.Image(0)));
-              if (distance_type === 'angular') {
-                dis_sum = dis_sum.multiply(t1.neq(timeseries_col.first().get('doy')));
-              }
+              var dis = _localDist(img, k, j.subtract(1), j);
+              cost_weight = ee.Image(_timeWeight(t1, t2));
 
-              if (weight_type === 'logistic') {
-                cost_weight = ee.Image(1)
-                              .divide(ee.Image(1).add(ee.Image(alpha)
-                                      .multiply(time_arr.subtract(beta)).exp()));
-              } else if (weight_type === 'linear') {
-                cost_weight = ee.Image(alpha).multiply(time_arr).add(beta);
-              }
+              return dis.add(cost_weight);
+            });
+
+            return dis_list;
+          });
+
+      } else if (index_constrained) {
+
+          dis_mat = ee.List.sequence(0, ee.Number(timeseries_len).subtract(1)).map(function(i){
+            var img = ee.Image(ts_list.get(i));
+            var bounds = ee.List(region_bounds.get(i));
+
+            // j is 1-based in the pattern iteration, the region bounds are 0-based
+            var region_filter = ee.Filter.rangeContains('item',
+                                                        ee.Number(bounds.get(0)).add(1),
+                                                        ee.Number(bounds.get(1)).add(1));
 
-              return dis_sum.sqrt().add(cost_weight);
+            //compute the distance for the pattern timestamps within the global constraint region only
+            var dis_list0 = ee.List.sequence(1, patterns_len).filter(region_filter).map(function(j){
+              j = ee.Number(j);
+
+              return _localDist(img, k, j.subtract(1), j).set('j', j);
+            });
+
+            var dis_list = ee.List.sequence(1, patterns_len).filter(region_filter.not()).map(function(j){
+              return out_of_region.set('j', j);
             });
 
+            //now sort in chronological order
+            dis_list = dis_list0.cat(dis_list);
+            dis_list = ee.ImageCollection(dis_list).sort('j').toList(dis_list.length());
+
             return dis_list;
           });
       }
 
+    if (gap_mode) {
+      // Fill the local cost of masked observations, which are either skipped or penalized in the recursion
+      dis_mat = ee.List(dis_mat).slice(0, timeseries_len).map(function(row){
+        return ee.List(row).map(function(img){
+          return _toScalar(img, 'DTW').unmask(gap_penalty);
+        });
+      });
+    }
+
+    if (open_boundary) {
+      return _subsequenceCandidates(dis_mat);
+    }
+
+    if (index_constrained) {
+      var D_mat = ee.List.repeat(ee.List.repeat(out_of_region, patterns_len), timeseries_len);
+      D_mat = D_mat.set(0, ee.List(D_mat.get(0)).set(0, ee.List(dis_mat.get(0)).get(0)));
+
+      D_mat = ee.List(region_cells.iterate(function(cell, previous){
+        var i = ee.Number(ee.List(cell).get(0));
+        var j = ee.Number(ee.List(cell).get(1));
+        previous = ee.List(previous);
+
+        // Only the predecessors within the global constraint region are considered
+        var predecessors = ee.List([[i.subtract(1), j], [i, j.subtract(1)], [i.subtract(1), j.subtract(1)]])
+                           .map(function(pred){
+                             pred = ee.List(pred);
+                             return ee.Algorithms.If(_inRegion(pred.get(0), pred.get(1)),
+                                                     ee.List(previous.get(pred.get(0))).get(pred.get(1)),
+                                                     null);
+                           }, true);
+
+        // Cells with no predecessor in the region are unreachable, and keep the placeholder cost
+        var dis = ee.Image(predecessors.iterate(function(img, min){
+          return ee.Image(min).min(img);
+        }, out_of_region));
+        dis = _minCost(predecessors.add(out_of_region), dis).add(ee.List(dis_mat.get(i)).get(j));
+
+        return previous.set(i, ee.List(previous.get(i)).set(j, dis));
+      }, D_mat));
+
+      return _dtwImage(D_mat, dis_mat, k);
+    }
+
     var D_mat = ee.List([]);
-    var dis = ee.List(dis_mat.get(0)).get(0);
+    var dis = _skipGap(0, ee.List(dis_mat.get(0)).get(0), no_step);
     var d_mat = D_mat.add(dis);
 
     d_mat = ee.List(ee.List.sequence(1, ee.Number(patterns_len).subtract(1)).iterate(function(j, previous){
       j = ee.Number(j);
       previous = ee.List(previous);
       var dis = ee.Image(previous.get(j.subtract(1))).add(ee.List(dis_mat.get(0)).get(j));
-      return previous.add(dis);
+      return previous.add(_skipGap(0, dis, no_step));
     }, d_mat));
     D_mat = D_mat.add(d_mat);
 
     D_mat = ee.List(ee.List.sequence(1, ee.Number(timeseries_len).subtract(1)).iterate(function(i, previous){
       i = ee.Number(i);
       previous = ee.List(previous);
-      var dis = ee.Image(ee.List(previous.get(i.subtract(1))).get(0)).add(ee.List(dis_mat.get(i)).get(0));
+      var up = ee.Image(ee.List(previous.get(i.subtract(1))).get(0));
+      var dis;
+      if (gap_mode === 'skip') {
+        // The alignment can start at image i if all the previous images are masked
+        dis = _skipGap(i, up.min(origin_list.get(i)).add(ee.List(dis_mat.get(i)).get(0)), up);
+      } else {
+        dis = up.add(ee.List(dis_mat.get(i)).get(0));
+      }
       return previous.add(ee.List(previous.get(i.subtract(1))).set(0, dis));
     }, D_mat));
 
@@ -231,17 +1696,344 @@ exports.DTWDist = function(patterns_arr, timeseries_col, options){
       var i = ee.Number(ee.List(matrix.get(x)).get(0));
       var j = ee.Number(ee.List(matrix.get(x)).get(1));
       previous = ee.List(previous);
-      var dis = ee.Image(ee.List(previous.get(i.subtract(1))).get(j)).min(ee.List(previous.get(i)).get(j.subtract(1)))
-        .min(ee.List(previous.get(i.subtract(1))).get(j.subtract(1))).add(ee.List(dis_mat.get(i)).get(j));
+      var up = ee.Image(ee.List(previous.get(i.subtract(1))).get(j));
+      var left = ee.Image(ee.List(previous.get(i)).get(j.subtract(1)));
+      var diag = ee.Image(ee.List(previous.get(i.subtract(1))).get(j.subtract(1)));
+      var dis = _minCost([up, left, diag], up.min(left).min(diag)).add(ee.List(dis_mat.get(i)).get(j));
+      dis = _skipGap(i, dis, ee.List(previous.get(i.subtract(1))).get(j));
       return previous.set(i, ee.List(previous.get(i)).set(j, dis));
     }, D_mat));
 
-    return ee.Image(ee.List(D_mat.get(-1)).get(-1))
-                                          .arrayProject([0])
-                                          .arrayFlatten([['DTW']]);
+    return _dtwImage(D_mat, dis_mat, k);
+  };
+
+  var dtw_image_list;
+  var pruned;
+  if (lb_pruning) {
+    var lower_bounds = ee.List.sequence(1, patterns_no).map(_lowerBound);
+
+    // Iterate over the patterns keeping track of the best dissimilarity so far. The patterns whose lower bound exceeds it
+    // cannot be the best-matching pattern, and are masked out, so that the minimum dissimilarity is unchanged.
+    // A relative tolerance covers the floating point rounding of lower bounds equal to the dissimilarity.
+    // ee.Algorithms.If only evaluates the branch it selects, so the recursion of a pattern pruned over the whole
+    // pruning region is never computed.
+    var pruning = ee.Dictionary(ee.List.sequence(1, patterns_no).iterate(function(k, previous){
+      previous = ee.Dictionary(previous);
+      var best = ee.Image(previous.get('best'));
+      var keep = ee.Image(lower_bounds.get(ee.Number(k).subtract(1))).lte(best.multiply(1 + 1e-5));
+      var dtw_image = _patternDTW(k).updateMask(keep);
+      if (pruning_region) {
+        var kept = keep.unmask(0)
+                       .reduceRegion({reducer: ee.Reducer.max(), geometry: pruning_region, scale: pruning_scale,
+                                      maxPixels: 1e13, tileScale: 4})
+                       .values()
+                       .get(0);
+        dtw_image = ee.Image(ee.Algorithms.If(ee.Number(kept).gt(0), dtw_image,
+                                              ee.Image(1e12).toDouble().rename('DTW').updateMask(0)));
+      }
+
+      return previous.set('best', best.min(dtw_image.select('DTW').unmask(best)))
+                     .set('pruned', ee.Image(previous.get('pruned')).add(keep.not()))
+                     .set('images', ee.List(previous.get('images')).add(dtw_image));
+    }, ee.Dictionary({best: ee.Image(1e12), pruned: ee.Image(0), images: ee.List([])})));
+
+    dtw_image_list = ee.List(pruning.get('images'));
+    pruned = ee.Image(pruning.get('pruned')).toUint16().rename('pruned');
+  } else {
+    dtw_image_list = ee.List.sequence(1, patterns_no).map(function(k){return _patternDTW(k)});
+  }
+
+  if (open_boundary) {
+    // Pool the candidate matches of all patterns, so that the selected matches do not overlap across patterns
+    var candidates = ee.Image(dtw_image_list.slice(1).iterate(function(img, previous){
+      return ee.Image(previous).arrayCat(img, 0);
+    }, ee.Image(dtw_image_list.get(0))));
+
+    var match_doys = timeseries_col.aggregate_array('doy');
+    if (array_input) {
+      match_doys = doy_list || timeseries_col.arraySlice(1, -1).arrayProject([0]);
+    } else if (doy_band) {
+      // The per-pixel Day of Year of each image, as a 1-D array image
+      match_doys = ee.ImageCollection.fromImages(doy_images.map(function(img){return ee.Image(img).unmask(0)}))
+                                     .toArray()
+                                     .arrayProject([0]);
+    }
+
+    var matches = _subsequenceMatches(candidates, match_doys, matches_no, output_type, output_scale);
+    matches = output_type === 'scaled' ? matches.set('DTW_scale', output_scale) : matches;
+    return gap_mode ? matches.addBands(_validObs()) : matches;
+  }
+
+  var dtw_col = ee.ImageCollection(dtw_image_list);
+  var dtw_raw = dtw_col.select('DTW').min();
+  var dtw_min = _castOutput(dtw_raw, output_type, output_scale);
+  if (output_type === 'scaled') {
+    dtw_min = dtw_min.set('DTW_scale', output_scale);
+  }
+
+  if (gap_mode) {
+    dtw_min = dtw_min.addBands(_validObs());
+  }
+
+  if (lb_pruning) {
+    dtw_min = dtw_min.addBands(pruned);
+  }
+
+  if (pattern_dists) {
+    // Keep the dissimilarity of every pattern, at full precision
+    dtw_min = dtw_min.addBands(dtw_col.map(function(img){return img.select('DTW').toDouble()})
+                                      .toArray()
+                                      .arrayProject([0])
+                                      .rename('pattern_dists'));
+  }
+
+  if (return_path || path_normalized) {
+    // Retrieve the index of the best-matching pattern for each pixel
+    var sorted = dtw_col.map(function(img){return img.select(['DTW', 'pattern']).toDouble()}).toArray();
+    var best_pattern = sorted.arraySort(sorted.arraySlice(1, 0, 1))
+                             .arraySlice(0, 0, 1)
+                             .arrayProject([1])
+                             .arrayFlatten([['DTW', 'pattern']])
+                             .select('pattern')
+                             .toInt();
+
+    // Stack the matrices of all patterns along the first axis and slice out those of the winning pattern
+    var matrices = ee.Image(dtw_image_list.slice(1).iterate(function(img, previous){
+      return ee.Image(previous).arrayCat(ee.Image(img).select(['D_mat', 'dis_mat']), 0);
+    }, ee.Image(dtw_image_list.get(0)).select(['D_mat', 'dis_mat'])));
+    var start = best_pattern.multiply(ee.Number(timeseries_len));
+    matrices = matrices.arraySlice(0, start, start.add(ee.Number(timeseries_len)));
+
+    var path = _warpingPath(matrices.select('D_mat'), timeseries_len, patterns_len);
+
+    if (path_normalized) {
+      // The dissimilarity per warping path cell
+      dtw_min = dtw_min.addBands(_castOutput(dtw_raw.divide(path.arrayLength(0)), output_type, output_scale)
+                                 .rename('DTW_norm'));
+    }
+
+    if (!return_path) {
+      return dtw_min;
+    }
+
+    return dtw_min.addBands(best_pattern)
+                  .addBands(path)
+                  .addBands(matrices);
+  }
+
+  return dtw_min;
+};
+
+/**
+ * Object-based DTW, as in the time-constrained approach of Csillik et al. (2019): the time series of each object
+ * (an image segment or a user-supplied polygon) is aggregated with a reducer, DTWDist runs once per object,
+ * and the per-object outputs are painted back to an image. This cuts the computation cost of large areas,
+ * and removes the salt-and-pepper noise of per-pixel classifications, e.g. for field-based crop mapping.
+ * @param {Array} patterns_arr: An array of dimension [k, n, t], as expected by DTWDist.
+ * @param {ImageCollection} timeseries_col: An image collection with t number of images, as expected by DTWDist.
+ * @param {Dictionary} options: The options consist of the DTWDist options, with the following parameters:
+ *                              - @param {Image|FeatureCollection} segments: The objects, either as an image whose first band
+ *                                holds the (integer) segment identifiers, or as a feature collection of polygons (e.g. fields).
+ *                                Defaults to the 'clusters' of the SNIC segmentation of the stacked time series.
+ *                              - @param {Number} snic_size: The superpixel seed spacing (in pixels) of the SNIC segmentation.
+ *                                Defaults to 10.
+ *                              - @param {Number} snic_compactness: The compactness factor of the SNIC segmentation.
+ *                                Defaults to 1.
+ *                              - @param {Number} snic_connectivity: The connectivity (4 or 8) of the SNIC segmentation.
+ *                                Defaults to 8.
+ *                              - @param {Reducer} reducer: The single-output reducer aggregating the pixels of each object
+ *                                for each band and image, e.g. ee.Reducer.median(). Defaults to ee.Reducer.mean().
+ *                              - @param {Geometry} region: The region of the objects, required if 'segments' is an image.
+ *                              - @param {Number} scale: The scale (in meters) at which the objects are aggregated.
+ *                                Defaults to 10.
+ *                              - @param {Number} tile_scale: The tile scale of the aggregation, to avoid memory errors
+ *                                on large regions. Defaults to 4.
+ *                              The 'return_path' and 'pattern_dists' options, returning array bands, are ignored.
+ *                              The objects are aggregated into image-level time series, so the 'doy_band' band (if any)
+ *                              is removed and the 'doy' property is used instead.
+ * @returns {Image} An image with the scalar bands of DTWDist (e.g. 'DTW', 'valid_obs', 'pruned') painted over each object
+ *                  as float bands, and the 'segment' band with the identifier of each object (if 'segments' is an image).
+ * @ignore
+ */
+exports.DTWObjects = function(patterns_arr, timeseries_col, options){
+  timeseries_col = ee.ImageCollection(timeseries_col);
+  if (options.doy_band) {
+    timeseries_col = _dropBand(timeseries_col, options.doy_band);
+  }
+  patterns_arr = ee.Array(patterns_arr);
+  var band_no = options.band_no || patterns_arr.length().get([1]).subtract(1);
+  var timeseries_len = options.timeseries_len || timeseries_col.size();
+  var reducer = options.reducer || ee.Reducer.mean();
+  var scale = options.scale || 10;
+  var tile_scale = options.tile_scale || 4;
+
+  // The time series of each object is constant, so the patterns pruned at any location are skipped
+  var dtw_options = _copyOptions(options, {return_path: false, pattern_dists: false, pruning_region: _constantPoint()},
+                                 ['doy_band']);
+
+  var doy_list = timeseries_col.aggregate_array('doy');
+  var stack = _valueStack(timeseries_col, band_no, timeseries_len);
+  var value_names = stack.bandNames();
+
+  var segments = options.segments;
+  if (!segments) {
+    segments = ee.Algorithms.Image.Segmentation.SNIC({image: stack,
+                                                      size: options.snic_size || 10,
+                                                      compactness: options.snic_compactness !== undefined ? options.snic_compactness : 1,
+                                                      connectivity: options.snic_connectivity || 8}).select('clusters');
+  }
+  var from_image = !(segments instanceof ee.FeatureCollection);
+
+  // Aggregate the time series of each object
+  var objects;
+  if (from_image) {
+    segments = ee.Image(segments).select(0).toInt().rename('segment');
+    var groups = stack.addBands(segments).reduceRegion({
+      reducer: reducer.repeat(value_names.length()).group({groupField: value_names.length(), groupName: 'segment'}),
+      geometry: options.region,
+      scale: scale,
+      maxPixels: 1e13,
+      tileScale: tile_scale
+    }).get('groups');
+
+    var output_name = reducer.getOutputs().get(0);
+    objects = ee.FeatureCollection(ee.List(groups).map(function(group){
+      group = ee.Dictionary(group);
+      return ee.Feature(null, {'segment': group.get('segment'), 'values': group.get(output_name)});
+    }));
+  } else {
+    objects = stack.reduceRegions({collection: segments, reducer: reducer, scale: scale, tileScale: tile_scale})
+                   .map(function(feat){return feat.set('values', value_names.map(function(name){return feat.get(name)}))});
+  }
+
+  // Compute the DTW outputs once per object
+  objects = objects.map(function(feat){
+    var object_col = _valuesToCollection(feat.get('values'), doy_list, band_no);
+    return feat.set(_constantValues(exports.DTWDist(patterns_arr, object_col, dtw_options)));
   });
 
-  return ee.ImageCollection(dtw_image_list).min().toUint16();
+  // Paint the per-object outputs back to an image, the band names being those of the DTWDist output
+  var dummy_values = ee.List.repeat(0, value_names.length());
+  var output_names = exports.DTWDist(patterns_arr, _valuesToCollection(dummy_values, doy_list, band_no), dtw_options)
+                     .bandNames();
+  var dtw_objects = ee.Image(output_names.iterate(function(name, img){
+    var painted = objects.filter(ee.Filter.notNull([name]));
+    if (from_image) {
+      painted = segments.remap(painted.aggregate_array('segment'), painted.aggregate_array(name));
+    } else {
+      painted = ee.Image().float().paint(painted, name);
+    }
+    return ee.Image(img).addBands(painted.toFloat().rename([name]));
+  }, ee.Image([])));
+
+  return from_image ? dtw_objects.addBands(segments) : dtw_objects;
+};
+
+/**
+ * Compute the DTW dissimilarities of the time series sampled at a set of locations, rather than of a full image,
+ * e.g. to chart and debug single pixels, or to tune the DTW parameters on a few hundred points.
+ * @param {FeatureCollection} points: The sample locations.
+ * @param {ImageCollection} timeseries_col: An image collection with t number of images, as expected by DTWDist.
+ * @param {Array|FeatureCollection} patterns: Either an array of patterns of dimension [k, n, t], as expected by DTWDist,
+ *                                            for one dissimilarity per pattern, or a feature collection of signatures,
+ *                                            for one dissimilarity per class (i.e. of its nearest signature).
+ * @param {Dictionary} options: The options consist of the DTWDist options, with the following parameters:
+ *                              - @param {String} class_property: The property name of the label class of the signatures,
+ *                                if 'patterns' is a feature collection. The classify options preparing the patterns
+ *                                of each class (band_no, patterns_len, band_names, prototypes_no, iterations
+ *                                and normalization) also apply.
+ *                              - @param {Number} scale: The scale (in meters) at which the time series are sampled.
+ *                                Defaults to 10.
+ *                              - @param {Number} tile_scale: The tile scale of the sampling. Defaults to 1.
+ *                              - @param {Boolean} return_path: Whether to add the 'pattern' and 'path' properties
+ *                                (or 'pattern_<class>' and 'path_<class>' for each class) with the index of the best-matching
+ *                                pattern and its warping path, as described in DTWDist.
+ *                              Masked observations are sampled as such, so the 'gap_mode' option applies.
+ *                              The 'doy_band' band (if any) is removed, the sampled time series using the 'doy' property.
+ *                              The 'lb_pruning' option requires signatures as 'patterns', as all the per-pattern
+ *                              dissimilarities are returned otherwise.
+ * @returns {FeatureCollection} The points with a 'DTW_<k>' property with the dissimilarity of each pattern k
+ *                              (starting from 0), or a 'DTW_<class>' property with the dissimilarity of each class,
+ *                              at full precision.
+ * @ignore
+ */
+exports.DTWDistPoints = function(points, timeseries_col, patterns, options){
+  timeseries_col = ee.ImageCollection(timeseries_col);
+  if (options.doy_band) {
+    timeseries_col = _dropBand(timeseries_col, options.doy_band);
+  }
+  var by_class = patterns instanceof ee.FeatureCollection;
+  var band_no = options.band_no || ee.Array(patterns).length().get([1]).subtract(1);
+  var timeseries_len = options.timeseries_len || timeseries_col.size();
+
+  // Normalise the patterns once, and the sampled time series of each point
+  var norm_stats = options.norm_stats || null;
+  var class_patterns;
+  if (by_class) {
+    norm_stats = norm_stats || (options.normalization ? exports.normStats(patterns, options) : null);
+    class_patterns = _classPatterns(patterns, options.class_property, options, norm_stats);
+  } else {
+    patterns = ee.Array(patterns);
+    if (norm_stats) {
+      patterns = exports.normalizePatterns(patterns, norm_stats);
+    }
+  }
+
+  var dtw_options = _copyOptions(options, {norm_stats: null,
+                                           output_type: 'float',
+                                           pattern_dists: !by_class,
+                                           path_normalized: false,
+                                           pruning_region: _constantPoint()}, ['doy_band']);
+  if (by_class) {
+    // The number of patterns is that of each class
+    dtw_options.patterns_no = null;
+  }
+
+  // Sample the time series at each point, keeping the masked observations as null values
+  var doy_list = timeseries_col.aggregate_array('doy');
+  var stack = _valueStack(timeseries_col, band_no, timeseries_len);
+  var value_names = stack.bandNames();
+  var samples = stack.reduceRegions({collection: points,
+                                     reducer: ee.Reducer.first(),
+                                     scale: options.scale || 10,
+                                     tileScale: options.tile_scale || 1});
+
+  return samples.map(function(feat){
+    var point_col = _valuesToCollection(value_names.map(function(name){return feat.get(name)}), doy_list, band_no);
+    if (norm_stats) {
+      point_col = exports.normalizeImages(point_col, norm_stats);
+    }
+
+    var _pointDTW = function(patterns_arr){
+      return _constantValues(exports.DTWDist(patterns_arr, point_col, dtw_options));
+    };
+
+    var dists;
+    if (by_class) {
+      dists = ee.Dictionary(class_patterns.keys().iterate(function(key, previous){
+        var dtw = _pointDTW(class_patterns.get(key));
+        var class_dists = ee.Dictionary.fromLists([ee.String('DTW_').cat(key)], [dtw.get('DTW')]);
+        if (options.return_path) {
+          class_dists = class_dists.combine(ee.Dictionary.fromLists([ee.String('pattern_').cat(key),
+                                                                     ee.String('path_').cat(key)],
+                                                                    [dtw.get('pattern'), dtw.get('path')]));
+        }
+        return ee.Dictionary(previous).combine(class_dists);
+      }, ee.Dictionary({})));
+    } else {
+      var dtw = _pointDTW(patterns);
+      var pattern_dists = ee.List(dtw.get('pattern_dists'));
+      dists = ee.Dictionary.fromLists(ee.List.sequence(0, pattern_dists.length().subtract(1)).map(function(k){
+        return ee.String('DTW_').cat(ee.Number(k).format('%d'));
+      }), pattern_dists);
+      if (options.return_path) {
+        dists = dists.combine(dtw.select(['pattern', 'path']));
+      }
+    }
+
+    // Drop the sampled values
+    return feat.select(feat.propertyNames().removeAll(value_names)).set(dists);
+  });
 };
 
 /**
@@ -276,7 +2068,8 @@ exports.prepareSignatures = function(signatures, class_name, class_no, band_no,
  * @param {List} band_names: The list of band names containing the pattern/signature values to retrieve from the feature collection.
  *                           The Day of Year band (doy) must be placed last; for instance for ndvi, VV and day of year (doy) bands:
  *                           [ndvi, ndvi_1, ndvi_2, ndvi_n, evi, evi_1, evi_2, evi_n, doy, doy_1, doy_2, doy_n].
- * @returns {Array}
+ * @returns {Image} An array image of dimension [timeseries_len, band_no + 1], which can be passed to DTWDist
+ *                  along with the 'doy_list' option.
  * @ignore
  */
 exports.prepareBands = function(image, band_no, timeseries_len, band_names){
@@ -287,5 +2080,710 @@ exports.prepareBands = function(image, band_no, timeseries_len, band_names){
     return ee.Image(img).arrayCat(image_arr, 1)},
     image.select(band_names.slice(0, timeseries_len)).toArray().toArray(1).toInt16());
 
-  return band_image_arr
+  return ee.Image(band_image_arr);
 }
+
+/**
+ * A utility that computes the per-band normalisation statistics from the signatures/patterns feature collection,
+ * pooling the values of all timestamps and all classes for each band, so that bands of different units and ranges
+ * (e.g. backscatter in dB and reflectance) contribute evenly to the DTW distance.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns to be used as input to DTW.
+ * @param {Dictionary} options: The options consist of the following parameters:
+ *                              - @param {String} normalization: The type of normalisation, whether 'z-score'
+ *                                (centred on the mean and scaled by the standard deviation), 'min-max'
+ *                                (centred on the minimum and scaled by the range) or 'percentile' (robust min-max scaling,
+ *                                centred on the lower percentile and scaled by the inter-percentile range).
+ *                                Defaults to 'z-score'.
+ *                              - @param {List} percentiles: The lower and upper percentiles of the 'percentile' normalisation.
+ *                                Defaults to [2, 98].
+ *                              - @param {Number} norm_factor: The factor applied to the normalised values, so that they
+ *                                keep a sufficient precision once cast to 16-bit integers as all DTW inputs are.
+ *                                Defaults to 1000.
+ *                              - @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ *                              - @param {Number} patterns_len: The length of the reference pattern time series.
+ *                              - @param {List} band_names: The list of band names containing the pattern/signature values,
+ *                                as expected by prepareSignatures.
+ * @returns {Dictionary} The normalisation statistics, with the 'normalization' type, and the 'offset' and 'scale' lists
+ *                       (one value per band) and the 'norm_factor', such that the normalised value is
+ *                       (value - offset) / scale * norm_factor. They can be provided as the 'norm_stats' option
+ *                       of DTWDist and classify, e.g. to reuse the scaling of a reference year on later years.
+ * @ignore
+ */
+exports.normStats = function(signatures, options){
+  signatures = ee.FeatureCollection(signatures);
+  var normalization = options.normalization || 'z-score';
+  var percentiles = options.percentiles || [2, 98];
+  var norm_factor = options.norm_factor || 1000;
+  var band_names = ee.List(options.band_names);
+
+  var stats = ee.List.sequence(0, options.band_no - 1).map(function(n){
+    n = ee.Number(n);
+
+    // Pool the values of all timestamps of the band
+    var values = band_names.slice(n.multiply(options.patterns_len), n.add(1).multiply(options.patterns_len))
+                           .map(function(band){return signatures.aggregate_array(band)})
+                           .flatten();
+
+    var offset;
+    var scale;
+    if (normalization === 'z-score') {
+      offset = ee.Number(values.reduce(ee.Reducer.mean()));
+      scale = ee.Number(values.reduce(ee.Reducer.stdDev()));
+    } else if (normalization === 'min-max') {
+      offset = ee.Number(values.reduce(ee.Reducer.min()));
+      scale = ee.Number(values.reduce(ee.Reducer.max())).subtract(offset);
+    } else if (normalization === 'percentile') {
+      offset = ee.Number(values.reduce(ee.Reducer.percentile([percentiles[0]])));
+      scale = ee.Number(values.reduce(ee.Reducer.percentile([percentiles[1]]))).subtract(offset);
+    }
+
+    // Constant bands are only centred
+    return ee.List([offset, ee.Algorithms.If(scale.eq(0), 1, scale)]);
+  });
+
+  return ee.Dictionary({normalization: normalization,
+                        offset: stats.map(function(stat){return ee.List(stat).get(0)}),
+                        scale: stats.map(function(stat){return ee.List(stat).get(1)}),
+                        norm_factor: norm_factor});
+};
+
+/**
+ * A utility that normalises the bands of a patterns array with the statistics computed by normStats,
+ * leaving the Day of Year band unchanged.
+ * @param {Array} patterns_arr: An array of dimension [k, n, t], as produced by prepareSignatures.
+ * @param {Dictionary} norm_stats: The normalisation statistics, as returned by normStats.
+ * @returns {Array} The normalised array of dimension [k, n, t], cast to 16-bit integers.
+ * @ignore
+ */
+exports.normalizePatterns = function(patterns_arr, norm_stats){
+  patterns_arr = ee.Array(patterns_arr);
+  norm_stats = ee.Dictionary(norm_stats);
+  var patterns_no = patterns_arr.length().get([0]);
+  var patterns_len = patterns_arr.length().get([2]);
+
+  // Broadcast the per-band statistics to the dimension of the patterns array, with the identity for the Day of Year band
+  var _broadcast = function(stat, doy_value){
+    return ee.Array(ee.List(stat).add(doy_value)).reshape([1, -1, 1]).repeat(0, patterns_no).repeat(2, patterns_len);
+  };
+
+  var factor = ee.List.repeat(norm_stats.get('norm_factor'), ee.List(norm_stats.get('offset')).length());
+
+  return patterns_arr.subtract(_broadcast(norm_stats.get('offset'), 0))
+                     .divide(_broadcast(norm_stats.get('scale'), 1))
+                     .multiply(_broadcast(factor, 1))
+                     .toInt16();
+};
+
+/**
+ * A utility that normalises the bands of each image of a time series with the statistics computed by normStats.
+ * @param {ImageCollection} timeseries_col: An image collection with t number of images, as expected by DTWDist,
+ *                                          i.e. with the bands in the same order as the patterns and no Day of Year band
+ *                                          (other than the per-pixel Day of Year band 'doy_band', left as is).
+ * @param {Dictionary} norm_stats: The normalisation statistics, as returned by normStats.
+ * @param {String} doy_band: The name of the per-pixel Day of Year band of the images, if any.
+ * @returns {ImageCollection}
+ * @ignore
+ */
+exports.normalizeImages = function(timeseries_col, norm_stats, doy_band){
+  norm_stats = ee.Dictionary(norm_stats);
+  var offset = ee.Image.constant(norm_stats.get('offset'));
+  var scale = ee.Image.constant(norm_stats.get('scale'));
+  var norm_factor = ee.Number(norm_stats.get('norm_factor'));
+
+  return ee.ImageCollection(timeseries_col).map(function(img){
+    var values = doy_band ? img.select(img.bandNames().remove(doy_band)) : img;
+    var normalized = values.subtract(offset).divide(scale).multiply(norm_factor);
+    normalized = doy_band ? normalized.addBands(img.select(doy_band)) : normalized;
+    return ee.Image(normalized.copyProperties(img)
+                              .copyProperties(img, ['system:time_start']));
+  });
+};
+
+/**
+ * A utility that averages the signatures/patterns of a class into one or a few prototype patterns,
+ * using DTW Barycenter Averaging (DBA), so that DTWDist compares each pixel against the prototypes only,
+ * rather than against every signature of the class.
+ * The DBA approach is taken from: Petitjean, F., Ketterlin, A., & Gançarski, P. (2011).
+ *                                 A global averaging method for dynamic time warping, with applications to clustering.
+ *                                 Pattern Recognition, 44(3), 678-693.
+ * If more than one prototype is requested, the signatures are clustered in a k-means fashion:
+ * each signature is assigned to its closest prototype (in the DTW sense), and each prototype is then averaged
+ * from the signatures assigned to it. The prototypes are initialized with signatures evenly picked from the array.
+ * The alignments use the Euclidean DTW dissimilarity, without time weight nor constraint,
+ * and the Day of Year band of the prototypes is averaged along with the other bands.
+ * @param {Array} patterns_arr: An array of dimension [k, n, t], as produced by prepareSignatures,
+ *                              with k the number of patterns, n number of bands (with the last band being the Day of Year),
+ *                              and t the number of timestamps in the time series.
+ * @param {Dictionary} options: The options consist of the following parameters:
+ *                              - @param {Number} prototypes_no: Number of prototypes to produce. Defaults to 1.
+ *                              - @param {Number} iterations: Number of DBA iterations. Defaults to 10.
+ *                              - @param {Number} patterns_no: Number of patterns in the patterns array.
+ *                              - @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ *                              - @param {Number} patterns_len: The length of the reference pattern time series.
+ *                              The last three parameters are computed from the patterns array if not provided
+ *                              (as long as function is not used inside of a mapping routine, will fail if not provided).
+ * @returns {Array} An array of dimension [prototypes_no, n, t], ready to be used as input to DTWDist.
+ * @ignore
+ */
+exports.DBA = function(patterns_arr, options){
+  options = options || {};
+  patterns_arr = ee.Array(patterns_arr).toDouble();
+  var patterns_no = options.patterns_no || patterns_arr.length().get([0]);
+  var band_no = options.band_no || patterns_arr.length().get([1]).subtract(1);
+  var patterns_len = options.patterns_len || patterns_arr.length().get([2]);
+  var prototypes_no = options.prototypes_no || 1;
+  var iterations = options.iterations || 10;
+
+  var patterns = ee.List.sequence(0, ee.Number(patterns_no).subtract(1)).map(function(k){
+    k = ee.Number(k);
+    return patterns_arr.slice(0, k, k.add(1)).project([1, 2]);
+  });
+
+  // Initialize the prototypes with signatures evenly picked from the array
+  var prototypes = ee.List.sequence(0, prototypes_no - 1).map(function(m){
+    return patterns.get(ee.Number(m).multiply(patterns_no).divide(prototypes_no).floor());
+  });
+
+  var zero_sums = ee.Array(ee.List.repeat(ee.List.repeat(0, patterns_len), ee.Number(band_no).add(1)));
+  var zero_counts = ee.Array(ee.List([ee.List.repeat(0, patterns_len)]));
+
+  prototypes = ee.List(ee.List.sequence(1, iterations).iterate(function(iteration, prototypes){
+    prototypes = ee.List(prototypes);
+
+    // Sum the pattern values aligned with each prototype timestamp, and count them
+    var aggregates = ee.List(patterns.iterate(function(pattern, previous){
+      previous = ee.List(previous);
+      var alignments = prototypes.map(function(prototype){return _arrayDTW(prototype, pattern)});
+      var costs = alignments.map(function(alignment){return ee.Dictionary(alignment).get('cost')});
+      var best = ee.Number(ee.Array(costs).multiply(-1).argmax().get(0));
+      var W = ee.Array(ee.Dictionary(alignments.get(best)).get('W'));
+
+      var sums = ee.List(previous.get(0));
+      var counts = ee.List(previous.get(1));
+      return ee.List([sums.set(best, ee.Array(sums.get(best)).add(ee.Array(pattern).matrixMultiply(W.transpose()))),
+                      counts.set(best, ee.Array(counts.get(best)).add(W.reduce(ee.Reducer.sum(), [1]).transpose()))]);
+    }, ee.List([ee.List.repeat(zero_sums, prototypes_no), ee.List.repeat(zero_counts, prototypes_no)])));
+
+    // Update each prototype with the barycenter of its aligned values, keeping prototypes without any assigned pattern
+    return ee.List.sequence(0, prototypes_no - 1).map(function(m){
+      var sums = ee.Array(ee.List(aggregates.get(0)).get(m));
+      var counts = ee.Array(ee.List(aggregates.get(1)).get(m));
+      return ee.Algorithms.If(counts.reduce(ee.Reducer.sum(), [0, 1]).get([0, 0]).gt(0),
+                              sums.divide(counts.repeat(0, ee.Number(band_no).add(1))),
+                              prototypes.get(m));
+    });
+  }, prototypes));
+
+  return ee.Array.cat(prototypes, 0)
+                 .reshape(ee.Array(ee.List([-1, ee.Number(band_no).add(1), patterns_len])))
+                 .toInt16();
+};
+
+/**
+ * A utility that computes the pairwise DTW dissimilarity matrix between the signatures/patterns, within and across classes.
+ * The alignments use the Euclidean DTW dissimilarity, without time weight nor constraint, as in DBA.
+ * Each pair of signatures costs a full DTW alignment, i.e. s * (s - 1) / 2 alignments for s signatures,
+ * which is practical up to a few hundred signatures. For larger signature sets, the 'max_per_class' option
+ * compares every signature to a random sample of the signatures of each class only, i.e. s * c * max_per_class
+ * alignments at most for c classes.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {Dictionary} options: The options consist of the following mandatory parameters:
+ *                              - @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ *                              - @param {Number} patterns_len: The length of the reference pattern time series.
+ *                              - @param {List} band_names: The list of band names containing the pattern/signature values,
+ *                                as expected by prepareSignatures.
+ *                              and the following optional parameters:
+ *                              - @param {Number} max_per_class: The maximum number of reference signatures of each class,
+ *                                i.e. the columns of the matrix, randomly sampled. Defaults to none (all signatures).
+ *                              - @param {Number} seed: The seed of the random sampling. Defaults to 0.
+ *                              - the normalisation options of classify ('normalization' or 'norm_stats'),
+ *                                so that bands with larger ranges (e.g. reflectance vs backscatter) do not dominate
+ *                                the dissimilarities.
+ * @returns {Dictionary} A dictionary with the following entries:
+ *                       'ids': the 'system:index' of each signature, in the order of the rows of the matrix,
+ *                       'classes': the class of each signature, in the same order,
+ *                       'reference_ids': the 'system:index' of each reference signature, in the order of the columns
+ *                                        of the matrix (the same as 'ids' if 'max_per_class' is not provided),
+ *                       'reference_classes': the class of each reference signature, in the same order,
+ *                       'distance_matrix': the array of dimension [s, r] of the DTW dissimilarity between
+ *                                          each signature and each reference signature (symmetric if 'max_per_class'
+ *                                          is not provided), the dissimilarity of a signature to itself being 0.
+ * @ignore
+ */
+exports.signatureDistances = function(signatures, class_property, options){
+  signatures = ee.FeatureCollection(signatures);
+  var signatures_no = signatures.size();
+  var feature_list = signatures.toList(signatures_no);
+  var norm_stats = options.norm_stats || (options.normalization ? exports.normStats(signatures, options) : null);
+
+  var _pattern = function(feat){
+    var values = ee.List(options.band_names).map(function(band){return ee.Feature(feat).get(band)});
+    var pattern = ee.Array(values).reshape([options.band_no + 1, options.patterns_len]);
+    if (norm_stats) {
+      pattern = exports.normalizePatterns(pattern.reshape([1, options.band_no + 1, options.patterns_len]), norm_stats)
+                       .project([1, 2]);
+    }
+    return pattern;
+  };
+  var _dist = function(a, b){
+    return ee.List(_arrayCostMatrix(a, b).get(-1)).get(-1);
+  };
+
+  var patterns = feature_list.map(_pattern);
+  var ids = feature_list.map(function(feat){return ee.Feature(feat).get('system:index')});
+  var classes = feature_list.map(function(feat){return ee.Feature(feat).get(class_property)});
+  var indices = ee.List.sequence(0, signatures_no.subtract(1));
+
+  if (!options.max_per_class) {
+    // Only the upper triangle is computed, the matrix being symmetric
+    var upper = ee.Array(indices.map(function(i){
+      return indices.map(function(j){
+        return ee.Algorithms.If(ee.Number(j).gt(i), _dist(patterns.get(i), patterns.get(j)), 0);
+      });
+    }));
+
+    return ee.Dictionary({ids: ids,
+                          classes: classes,
+                          reference_ids: ids,
+                          reference_classes: classes,
+                          distance_matrix: upper.add(upper.transpose())});
+  }
+
+  // Randomly sample the reference signatures of each class
+  var ranked = signatures.randomColumn('reference_rank', options.seed || 0);
+  var references = ee.FeatureCollection(classes.distinct().map(function(key){
+    return ranked.filter(ee.Filter.eq(class_property, key)).limit(options.max_per_class, 'reference_rank');
+  })).flatten();
+  var reference_list = references.toList(references.size());
+  var reference_patterns = reference_list.map(_pattern);
+  var reference_ids = reference_list.map(function(feat){return ee.Feature(feat).get('system:index')});
+
+  var dist_arr = ee.Array(indices.map(function(i){
+    return ee.List.sequence(0, reference_list.length().subtract(1)).map(function(j){
+      return ee.Algorithms.If(ee.String(ids.get(i)).equals(reference_ids.get(j)),
+                              0,
+                              _dist(patterns.get(i), reference_patterns.get(j)));
+    });
+  }));
+
+  return ee.Dictionary({ids: ids,
+                        classes: classes,
+                        reference_ids: reference_ids,
+                        reference_classes: reference_list.map(function(feat){return ee.Feature(feat).get(class_property)}),
+                        distance_matrix: dist_arr});
+};
+
+/**
+ * A utility that flags the mislabelled signatures/patterns and selects the medoid of each class,
+ * from the DTW dissimilarity matrix computed by signatureDistances.
+ * A signature is an outlier if its mean dissimilarity to the (reference) signatures of another class is lower than
+ * to the other (reference) signatures of its own class. Signatures of classes with a single signature are never outliers,
+ * and neither are the signatures of a collection with a single class, as there is no other class to compare with.
+ * The medoid of a class is the signature kept after cleaning with the lowest mean dissimilarity to the other signatures
+ * of the class.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {Dictionary} options: The options of signatureDistances (band_no, patterns_len, band_names, max_per_class, seed
+ *                              and normalisation).
+ * @returns {FeatureCollection} All the signatures, with the following properties added:
+ *                              'own_class_dist': the mean dissimilarity to the other signatures of the same class,
+ *                              'other_class_dist': the lowest mean dissimilarity to the signatures of another class
+ *                                                  (not set if there is a single class),
+ *                              'nearest_class': the other class with the lowest mean dissimilarity
+ *                                               (not set if there is a single class),
+ *                              'medoid': 1 for the medoid of each class, 0 otherwise,
+ *                              'dropped': 1 for the outliers, 0 otherwise,
+ *                              'reason': for the outliers only, the reason why they are dropped.
+ *                              The cleaned signatures are those with a 'dropped' property of 0, e.g.
+ *                              cleanSignatures(signatures, 'class', options).filter(ee.Filter.eq('dropped', 0)),
+ *                              and the medoids those with a 'medoid' property of 1.
+ * @ignore
+ */
+exports.cleanSignatures = function(signatures, class_property, options){
+  signatures = ee.FeatureCollection(signatures);
+  var distances = exports.signatureDistances(signatures, class_property, options);
+  var dist_arr = ee.Array(distances.get('distance_matrix'));
+  var ids = ee.List(distances.get('ids'));
+  var classes = ee.List(distances.get('classes'));
+  var reference_ids = ee.List(distances.get('reference_ids'));
+  var order = classes.distinct().sort();
+
+  // One-hot encoding of the class of each signature (of dimension [s, c]) and reference signature (of dimension [r, c])
+  var _membership = function(class_list){
+    return ee.Array(ee.List(class_list).map(function(feat_class){
+      return order.map(function(key){return ee.Number(feat_class).eq(key)});
+    }));
+  };
+  var own_class = _membership(classes);
+
+  // Mean dissimilarity of each signature to each class, of dimension [s, c], excluding the signature itself
+  // from the reference signatures of its class
+  var sums = dist_arr.matrixMultiply(_membership(distances.get('reference_classes')));
+  var in_reference = ee.Array(ids.map(function(id){return ee.Algorithms.If(reference_ids.contains(id), 1, 0)}))
+                     .reshape([-1, 1])
+                     .repeat(1, order.length());
+  var counts = _membership(distances.get('reference_classes')).reduce(ee.Reducer.sum(), [0]).repeat(0, ids.length());
+  // Divisions by 0 (classes with a single signature) return 0
+  var means = sums.divide(counts.subtract(own_class.multiply(in_reference))).toList();
+
+  var annotated = signatures.map(function(feat){
+    var row = ee.List(means.get(ids.indexOf(feat.get('system:index'))));
+    var own_idx = order.indexOf(feat.get(class_property));
+    var own_dist = ee.Number(row.get(own_idx));
+    var others = row.splice(own_idx, 1);
+
+    // Only evaluated if there is another class, the minimum of an empty list being undefined
+    var _flag = function(){
+      var other_dist = ee.Number(others.reduce(ee.Reducer.min()));
+      var nearest_class = order.splice(own_idx, 1).get(others.indexOf(other_dist));
+      var dropped = other_dist.lt(own_dist);
+
+      return feat.set({own_class_dist: own_dist,
+                       other_class_dist: other_dist,
+                       nearest_class: nearest_class,
+                       dropped: dropped})
+                 .set(ee.Dictionary(ee.Algorithms.If(dropped,
+                                                     {reason: ee.String('closer to class ').cat(ee.Number(nearest_class).format())},
+                                                     {})));
+    };
+
+    return ee.Feature(ee.Algorithms.If(others.length().gt(0),
+                                       _flag(),
+                                       feat.set({own_class_dist: own_dist, dropped: 0})));
+  });
+
+  // The medoids are selected among the signatures kept after cleaning, a class whose signatures are all dropped having none
+  var kept = annotated.filter(ee.Filter.eq('dropped', 0));
+  var medoids = order.map(function(key){
+    return kept.filter(ee.Filter.eq(class_property, key)).sort('own_class_dist').limit(1).aggregate_array('system:index');
+  }).flatten();
+
+  return annotated.map(function(feat){
+    return feat.set('medoid', ee.Algorithms.If(medoids.contains(feat.get('system:index')), 1, 0));
+  });
+};
+
+/**
+ * A utility that calibrates the per-class thresholds of the reject option of classify, from the distribution
+ * of the in-class dissimilarities: the time series of each signature is compared with DTWDist to the other signatures
+ * of its class (leave-one-out), and the threshold of the class is a percentile of these dissimilarities.
+ * The dissimilarities are computed against the signatures, even if classify uses DBA prototypes.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {Dictionary} options: The options consist of the classify options (including the DTWDist options, band_no,
+ *                              patterns_len, band_names and the normalisation options), with the following parameter:
+ *                              - @param {Number} reject_percentile: The percentile of the in-class dissimilarities.
+ *                                Defaults to 95.
+ *                              - @param {Boolean} path_normalized: Whether the thresholds apply to the dissimilarities
+ *                                divided by the length of their warping path (see DTWDist), as required to classify
+ *                                time series of another length than the signatures. Defaults to false.
+ * @returns {Dictionary} A dictionary mapping each class to its threshold. Classes with a single signature
+ *                       get a threshold of 1e12, i.e. their pixels are never rejected.
+ * @ignore
+ */
+exports.rejectThresholds = function(signatures, class_property, options){
+  signatures = ee.FeatureCollection(signatures);
+  var reject_percentile = options.reject_percentile || 95;
+  // The thresholds are compared with the path-normalised dissimilarities if requested
+  var score_band = options.path_normalized ? 'DTW_norm' : 'DTW';
+
+  var dtw_options = _copyOptions(options, {norm_stats: options.norm_stats
+                                                       || (options.normalization ? exports.normStats(signatures, options) : null),
+                                           timeseries_len: options.patterns_len,
+                                           return_path: false,
+                                           path_normalized: Boolean(options.path_normalized),
+                                           pattern_dists: false,
+                                           output_type: 'float',
+                                           pruning_region: _constantPoint()},
+                                 // The time series of the signatures have no per-pixel Day of Year band
+                                 ['doy_band']);
+
+  return signatures.aggregate_histogram(class_property).map(function(key, val){
+    var class_signatures = signatures.filter(ee.Filter.eq(class_property, ee.Number.parse(key)));
+    var class_options = _copyOptions(dtw_options, {patterns_no: ee.Number(val).subtract(1)});
+
+    // Dissimilarity of each signature to the other signatures of its class
+    var dists = class_signatures.map(function(feat){
+      var reference = class_signatures.filter(ee.Filter.neq('system:index', feat.get('system:index')));
+      var patterns_arr = exports.prepareSignatures(reference,
+                                                   class_property,
+                                                   ee.Number.parse(key),
+                                                   options.band_no,
+                                                   options.patterns_len,
+                                                   options.band_names);
+      var timeseries_col = _featureToCollection(feat, options.band_no, options.patterns_len, options.band_names);
+
+      return feat.set('dtw', _constantValues(exports.DTWDist(patterns_arr, timeseries_col, class_options).select(score_band))
+                             .get(score_band));
+    }).aggregate_array('dtw');
+
+    return ee.Algorithms.If(ee.Number(val).gt(1), dists.reduce(ee.Reducer.percentile([reject_percentile])), 1e12);
+  });
+};
+
+/**
+ * Classify each pixel of an image time series into the class with the lowest DTW dissimilarity,
+ * running DTWDist once for each class of the signatures/patterns feature collection.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns to be used as input to DTW,
+ *                                        with at least two distinct classes.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {ImageCollection} timeseries_col: An image collection with t number of images, as expected by DTWDist.
+ * @param {Dictionary} options: The options consist of the DTWDist options, with the following mandatory parameters:
+ *                              - @param {Number} band_no: Number of bands (excluding the Day of Year band).
+ *                              - @param {Number} timeseries_len: The length of the image time series.
+ *                              - @param {Number} patterns_len: The length of the reference pattern time series.
+ *                              - @param {List} band_names: The list of band names containing the pattern/signature values,
+ *                                as expected by prepareSignatures.
+ *                              - @param {Number} prototypes_no: If provided, the signatures of each class are averaged
+ *                                into this number of prototypes with DBA, which are then used as patterns for DTWDist.
+ *                              - @param {Number} iterations: Number of DBA iterations, if 'prototypes_no' is provided.
+ *                                Defaults to 10.
+ *                              - @param {String} normalization: If provided, the per-band normalisation computed by normStats
+ *                                from all the signatures (see normStats for the related 'percentiles' and 'norm_factor' options),
+ *                                and applied to both the signatures and the images.
+ *                              - @param {Dictionary} norm_stats: The normalisation statistics to use instead of computing them
+ *                                from the signatures, e.g. those of a reference year.
+ *                              - @param {Number} knn: If provided, the pixels are labelled by a vote among their k nearest
+ *                                signatures/patterns across all classes (k-NN), rather than by their single nearest one.
+ *                              - @param {String} vote_type: The k-NN vote, whether 'majority' (one vote per pattern)
+ *                                or 'weighted' (votes weighted by the inverse of the DTW dissimilarity).
+ *                                Defaults to 'majority'.
+ *                              - @param {Number} reject_percentile: If provided, the pixels whose score exceeds the threshold
+ *                                of their class are rejected, i.e. labelled as 'unknown_class' (e.g. new crops or remaining
+ *                                clouds), the threshold being this percentile of the in-class dissimilarities (see rejectThresholds).
+ *                              - @param {Dictionary} reject_thresholds: The per-class thresholds to use instead of computing them
+ *                                from the signatures, e.g. those of a reference year.
+ *                              - @param {Number} unknown_class: The class of the rejected pixels. Defaults to 0.
+ *                              - @param {Boolean} path_normalized: Whether the reject option compares the dissimilarities
+ *                                divided by the length of their warping path (see DTWDist) with thresholds calibrated
+ *                                the same way, so that time series of another length than the signatures can be rejected.
+ *                                Required by the reject option if 'timeseries_len' differs from 'patterns_len', an error
+ *                                being thrown otherwise. The 'score' and 'margin' bands are not normalised.
+ *                                Defaults to false.
+ *                              The number of patterns is computed for each class from the signatures,
+ *                              and the 'return_path' option is ignored.
+ *                              The 'output_type' and 'output_scale' options apply to the 'score' and 'margin' bands.
+ * @returns {Image} An image with the following bands:
+ *                  'classification': the class with the lowest DTW dissimilarity,
+ *                  'score': the DTW dissimilarity of the winning class,
+ *                  'runner_up': the class with the second lowest DTW dissimilarity,
+ *                  'margin': the difference between the DTW dissimilarity of the runner-up class and of the winning class,
+ *                            i.e. a confidence layer, low margins flagging pixels in-between two classes.
+ *                  If 'knn' is provided, the image has the 'classification' band (the class with the highest vote fraction,
+ *                  ties being broken by the distance of the nearest pattern of each class), the 'score' band (the DTW
+ *                  dissimilarity of the nearest pattern of the winning class), and one 'votes_<class>' band per class
+ *                  with the fraction of the votes it received.
+ *                  If normalised, the 'norm_stats' property of the image holds the normalisation statistics for reuse,
+ *                  and if the reject option is used, the 'reject_thresholds' property holds the per-class thresholds.
+ * @ignore
+ */
+exports.classify = function(signatures, class_property, timeseries_col, options){
+  signatures = ee.FeatureCollection(signatures);
+
+  // Compute the normalisation statistics once from all the signatures, and normalise the images once for all classes
+  var norm_stats = options.norm_stats || (options.normalization ? exports.normStats(signatures, options) : null);
+  if (norm_stats) {
+    timeseries_col = exports.normalizeImages(timeseries_col, norm_stats, options.doy_band);
+  }
+
+  _checkRejectOptions(options);
+  var class_patterns = _classPatterns(signatures, class_property, options, norm_stats);
+  var thresholds = options.reject_thresholds
+                   || (options.reject_percentile ? exports.rejectThresholds(signatures, class_property, options) : null);
+
+  var classification = _classifyImages(class_patterns, timeseries_col, options, thresholds);
+  if (options.output_type === 'scaled') {
+    classification = classification.set('DTW_scale', options.output_scale || 100);
+  }
+  if (thresholds) {
+    classification = classification.set('reject_thresholds', thresholds);
+  }
+
+  return norm_stats ? classification.set('norm_stats', norm_stats) : classification;
+};
+
+/**
+ * Classify a multi-year image time series season by season, sliding the annual patterns over each season window,
+ * rather than running the whole classification pipeline once per year. The preparation shared by the seasons, i.e. the
+ * normalisation of the images, the patterns of each class (including their DBA prototypes) and the thresholds
+ * of the reject option, is computed once, while the DTW dissimilarities (DTWDist of each class) are computed
+ * once per season, so the cost of the classification itself grows linearly with the number of seasons.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns to be used as input to DTW,
+ *                                        with at least two distinct classes.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {ImageCollection} timeseries_col: A multi-year image collection, the images carrying their acquisition
+ *                                          (or composite) date in the 'system:time_start' property.
+ * @param {Dictionary} options: The options consist of the classify options, with the following mandatory parameter:
+ *                              - @param {Dictionary} seasons: The season windows, mapping the name of each season
+ *                                to its start and end dates (both inclusive), e.g. {'2019': ['2019-07-01', '2019-12-30'],
+ *                                                                                   '2020': ['2020-07-01', '2020-12-30']}.
+ *                              The 'doy' property of the images of each season is set to the number of days
+ *                              since 1 January of the year of the season start, as expected by the patterns.
+ *                              The per-pixel Day of Year band ('doy_band' option), counted from 1 January of the year
+ *                              of each image's 'system:time_start', is rebased to the same origin.
+ *                              The 'timeseries_len' option, if provided, is the length of each season window
+ *                              (with the reject option, 'path_normalized' is required unless it equals 'patterns_len').
+ * @returns {Image} An image with the bands of classify for each season, suffixed with the season name,
+ *                  e.g. 'classification_2019', 'score_2019', ..., 'classification_2020', 'score_2020', ...
+ *                  The properties are the same as for classify.
+ * @ignore
+ */
+exports.classifySeasons = function(signatures, class_property, timeseries_col, options){
+  signatures = ee.FeatureCollection(signatures);
+  timeseries_col = ee.ImageCollection(timeseries_col);
+
+  // Prepare the inputs shared by the seasons once
+  var norm_stats = options.norm_stats || (options.normalization ? exports.normStats(signatures, options) : null);
+  if (norm_stats) {
+    timeseries_col = exports.normalizeImages(timeseries_col, norm_stats, options.doy_band);
+  }
+
+  _checkRejectOptions(options);
+  var class_patterns = _classPatterns(signatures, class_property, options, norm_stats);
+  var thresholds = options.reject_thresholds
+                   || (options.reject_percentile ? exports.rejectThresholds(signatures, class_property, options) : null);
+
+  // Build the time series of each season once, sliding the window over the collection,
+  // with the Day of Year relative to the season year
+  var season_cols = {};
+  Object.keys(options.seasons).forEach(function(season){
+    var start = ee.Date(options.seasons[season][0]);
+    // The end date of filterDate is exclusive, while that of the season is inclusive
+    var end = ee.Date(options.seasons[season][1]).advance(1, 'day');
+    var year_start = ee.Date.fromYMD(start.get('year'), 1, 1);
+
+    season_cols[season] = timeseries_col.filterDate(start, end)
+                                        .sort('system:time_start')
+                                        .map(function(img){
+                                          var date = ee.Date(img.get('system:time_start'));
+                                          var doy = date.difference(year_start, 'day').floor();
+                                          if (options.doy_band) {
+                                            // Shift the band by the days between the image year and the season year
+                                            var year_offset = ee.Date.fromYMD(date.get('year'), 1, 1)
+                                                                     .difference(year_start, 'day').round();
+                                            img = img.addBands(img.select(options.doy_band).add(year_offset), null, true);
+                                          }
+                                          return img.set('doy', doy);
+                                        });
+  });
+
+  // A classification per season, sharing the class patterns and thresholds, each running DTWDist for every class
+  var classification = ee.Image([]);
+  Object.keys(season_cols).forEach(function(season){
+    var season_classification = _classifyImages(class_patterns, season_cols[season], options, thresholds);
+    classification = classification.addBands(season_classification.rename(
+      season_classification.bandNames().map(function(band){return ee.String(band).cat('_' + season)})));
+  });
+
+  if (options.output_type === 'scaled') {
+    classification = classification.set('DTW_scale', options.output_scale || 100);
+  }
+  if (thresholds) {
+    classification = classification.set('reject_thresholds', thresholds);
+  }
+
+  return norm_stats ? classification.set('norm_stats', norm_stats) : classification;
+};
+
+/**
+ * Assess the accuracy of the DTW classifier on the signatures/patterns themselves, with a leave-one-out
+ * or k-fold cross-validation: the time series of each signature is classified by classify, using the signatures
+ * of the other folds as reference, and compared to its own class. This helps tuning the DTW settings before mapping.
+ * Classifying each signature runs DTWDist against all the reference signatures, so this is computationally
+ * intensive for large signature sets.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns, e.g. as sampled
+ *                                        with sampleRegions from the multi-band image of the time series.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {Dictionary} options: The options consist of the classify options, with the following additional parameters:
+ *                              - @param {Number} folds: The number of folds of the k-fold cross-validation, the signatures
+ *                                being randomly assigned to each fold. Defaults to none, i.e. leave-one-out cross-validation.
+ *                              - @param {Number} seed: The seed of the random fold assignment. Defaults to 0.
+ *                              The 'timeseries_len' option is set to 'patterns_len'.
+ * @returns {Dictionary} A dictionary with the following entries:
+ *                       'order': the list of classes, in the order of the rows/columns of the confusion matrix,
+ *                                followed by the 'unknown_class' if the reject option is used,
+ *                       'confusion_matrix': the confusion matrix, with the actual classes as rows
+ *                                           and the predicted classes as columns, the rejected signatures
+ *                                           being counted as errors in the column of the unknown class,
+ *                       'overall_accuracy': the overall accuracy,
+ *                       'kappa': the Kappa coefficient,
+ *                       'f1': a dictionary with the F1-score of each class,
+ *                       'reject_rate': if the reject option is used, the fraction of the signatures rejected.
+ * @ignore
+ */
+exports.assess = function(signatures, class_property, options){
+  signatures = ee.FeatureCollection(signatures);
+  var folds = options.folds || null;
+  var seed = options.seed || 0;
+
+  // Assign each signature to a fold, i.e. to its own fold for the leave-one-out cross-validation
+  var fold_property = folds ? 'fold' : 'system:index';
+  if (folds) {
+    signatures = signatures.randomColumn('fold', seed).map(function(feat){
+      return feat.set('fold', ee.Number(feat.get('fold')).multiply(folds).floor());
+    });
+  }
+
+  // The time series to classify are those of the signatures, whose length is the patterns length
+  // (and no per-pixel Day of Year band), as constant images
+  var classify_options = _copyOptions(options, {timeseries_len: options.patterns_len, pruning_region: _constantPoint()},
+                                      ['doy_band']);
+
+  var predicted = signatures.map(function(feat){
+    var reference = signatures.filter(ee.Filter.neq(fold_property, feat.get(fold_property)));
+    var timeseries_col = _featureToCollection(feat, options.band_no, options.patterns_len, options.band_names);
+
+    var prediction = _constantValues(exports.classify(reference, class_property, timeseries_col, classify_options)
+                                     .select('classification'))
+                     .get('classification');
+
+    return feat.set('predicted', prediction);
+  }).filter(ee.Filter.notNull(['predicted']));
+
+  var classes = signatures.aggregate_array(class_property).distinct().sort();
+  var order = classes;
+  var rejecting = Boolean(options.reject_percentile || options.reject_thresholds);
+  var unknown_class = options.unknown_class || 0;
+  if (rejecting) {
+    // The rejected signatures are counted as errors in the column of the unknown class, rather than left out
+    order = classes.add(unknown_class).distinct();
+  }
+  var confusion_matrix = predicted.errorMatrix(class_property, 'predicted', order);
+
+  var assessment = ee.Dictionary({order: order,
+                                  confusion_matrix: confusion_matrix.array(),
+                                  overall_accuracy: confusion_matrix.accuracy(),
+                                  kappa: confusion_matrix.kappa(),
+                                  f1: ee.Dictionary.fromLists(classes.map(function(key){return ee.Number(key).format()}),
+                                                              ee.Array(confusion_matrix.fscore()).toList().flatten()
+                                                                                                 .slice(0, classes.length()))
+                                 });
+  if (rejecting) {
+    assessment = assessment.set('reject_rate',
+                                predicted.filter(ee.Filter.eq('predicted', unknown_class)).size().divide(predicted.size()));
+  }
+
+  return assessment;
+};
+
+/**
+ * Compare the accuracy of several DTW settings side by side, running assess for each of them.
+ * @param {FeatureCollection} signatures: A feature collection containing the signatures/patterns, as expected by assess.
+ * @param {String} class_property: The property name of the label class containing the class values as integers.
+ * @param {Dictionary} options: The options shared by all settings, as expected by assess (including 'folds' and 'seed',
+ *                              so that all settings are assessed on the same folds).
+ * @param {Array} settings: A list of dictionaries with the options specific to each setting,
+ *                          e.g. [{constraint_type: 'time-weighted', alpha: 0.1, beta: 50}, {constraint_type: 'time-constrained', beta: 30}].
+ * @returns {FeatureCollection} A feature collection with one feature (without geometry) per setting,
+ *                              with the 'settings' property describing the setting and the entries returned by assess.
+ * @ignore
+ */
+exports.assessSettings = function(signatures, class_property, options, settings){
+  return ee.FeatureCollection(settings.map(function(setting){
+    var setting_options = _copyOptions(options, setting);
+
+    return ee.Feature(null, exports.assess(signatures, class_property, setting_options))
+           .set('settings', JSON.stringify(setting));
+  }));
+};
@@ -0,0 +1,748 @@
+// ****************************************************************************************************************** //
+// ********** Client-side (pure JavaScript) reference implementation of the TW/TC-DTW module (dtw.js) *************** //
+// ****************************************************************************************************************** //
+
+// This module mirrors the computation graph built by exports.DTWDist in dtw.js on plain JavaScript arrays,
+// so that single pixels can be checked without a round trip to Earth Engine (e.g. in Node unit tests).
+// It has no dependency on the ee API, and can be required from Node or from the GEE code editor alike:
+// var DTWClient = require('./dtw_client.js'); // Node
+// var DTWClient = require('users/soilwatch/functions:dtw_client.js'); // GEE code editor
+
+// Placeholder cost of the cells outside of the 'sakoe-chiba'/'itakura' global constraint region, as in DTWDist
+var OUT_OF_REGION = 1e12;
+
+/**
+ * Whether the open-begin/open-end (subsequence) alignment applies, as in DTWDist,
+ * i.e. with the 'open_boundary' option and a constraint type other than the index-based ones.
+ * @ignore
+ */
+var _isOpenBoundary = function(options){
+  return Boolean(options && options.open_boundary
+                 && options.constraint_type !== 'sakoe-chiba' && options.constraint_type !== 'itakura');
+};
+
+/**
+ * Check the time weight options of the 'time-weighted' approach, so that a misspelt weight type or an invalid parameter
+ * fails at call time rather than silently falling back to another weight. Shared with DTWDist in dtw.js.
+ * The parameters provided as Earth Engine objects are not checked.
+ * @param {Dictionary} options: The DTWDist options (weight_type, alpha, beta, beta_early, beta_late).
+ */
+exports.checkTimeWeight = function(options){
+  var weight_type = options.weight_type || 'logistic';
+  var weight_types = ['logistic', 'linear', 'gaussian', 'asymmetric'];
+
+  if (typeof weight_type !== 'function' && weight_types.indexOf(weight_type) === -1) {
+    throw new Error('Unknown weight_type \'' + weight_type + '\', expected one of ' + weight_types.join(', ')
+                    + ' or a function of the time difference');
+  }
+
+  var positive = {'logistic': ['alpha', 'beta'],
+                  'gaussian': ['beta'],
+                  'asymmetric': ['alpha', 'beta', 'beta_early', 'beta_late']}[weight_type] || [];
+  positive.forEach(function(param){
+    if (typeof options[param] === 'number' && !(options[param] > 0)) {
+      throw new Error('The \'' + param + '\' parameter of the ' + weight_type + ' time weight must be positive');
+    }
+  });
+};
+
+/**
+ * Create an array repeating a value a given number of times.
+ * @ignore
+ */
+var _repeat = function(value, count){
+  var arr = [];
+  for (var i = 0; i < count; i++) {
+    arr.push(value);
+  }
+  return arr;
+};
+
+/**
+ * Whether the masked observations are skipped in the alignment, as in DTWDist,
+ * i.e. with the 'skip' gap mode and a constraint type other than the index-based ones.
+ * @ignore
+ */
+var _isSkippingGaps = function(options){
+  return Boolean(options && options.gap_mode === 'skip'
+                 && options.constraint_type !== 'sakoe-chiba' && options.constraint_type !== 'itakura');
+};
+
+/**
+ * Whether each image of the time series is a masked observation skipped in the alignment.
+ * @ignore
+ */
+var _skippedObservations = function(timeseries, options){
+  var skip = _isSkippingGaps(options);
+  return exports.validObservations(timeseries, options).map(function(valid){return skip && !valid});
+};
+
+/**
+ * Cast a number to an integer type the way Earth Engine does, i.e. truncated towards zero and clamped to the type range.
+ * @param {Number} value: The value to cast.
+ * @param {Number} min: The minimum value of the integer type.
+ * @param {Number} max: The maximum value of the integer type.
+ * @returns {Number}
+ * @ignore
+ */
+var _cast = function(value, min, max){
+  return Math.min(Math.max(Math.trunc(value), min), max);
+};
+
+/**
+ * Cast a number to a signed 16-bit integer, as ee.Image.toInt16 does.
+ * @param {Number} value: The value to cast.
+ * @returns {Number}
+ */
+exports.toInt16 = function(value){
+  return _cast(value, -32768, 32767);
+};
+
+/**
+ * Cast a number to an unsigned 16-bit integer, as ee.Image.toUint16 does.
+ * @param {Number} value: The value to cast.
+ * @returns {Number}
+ */
+exports.toUint16 = function(value){
+  return _cast(value, 0, 65535);
+};
+
+/**
+ * Cast a DTW dissimilarity to the output data type of DTWDist, i.e. an unsigned 16-bit integer by default,
+ * a 32-bit float, or an unsigned 32-bit integer of the dissimilarity multiplied by the output scale.
+ * @param {Number} value: The value to cast.
+ * @param {Dictionary} options: The DTWDist options (output_type, output_scale).
+ * @returns {Number}
+ */
+exports.castOutput = function(value, options){
+  var output_type = (options && options.output_type) || 'uint16';
+  var output_scale = (options && options.output_scale) || 100;
+
+  if (output_type === 'float') {
+    return Math.fround(value);
+  } else if (output_type === 'scaled') {
+    return _cast(Math.round(value * output_scale), 0, 4294967295);
+  }
+  return exports.toUint16(value);
+};
+
+/**
+ * Retrieve the index of the timestamp preceding timestamp i, as selected by the angular distance in DTWDist,
+ * i.e. the closest earlier Day of Year in the time series, or i itself for the first timestamp.
+ * @param {Array} doy_list: The Day of Year of each timestamp in the time series.
+ * @param {Number} i: The index of the current timestamp.
+ * @returns {Number}
+ * @ignore
+ */
+var _previousIndex = function(doy_list, i){
+  var prev = i;
+  for (var x = 0; x < doy_list.length; x++) {
+    if (doy_list[x] < doy_list[i] && (prev === i || doy_list[x] > doy_list[prev])) {
+      prev = x;
+    }
+  }
+  return prev;
+};
+
+/**
+ * Retrieve the value of a [n, t] array at (band, timestamp), negative timestamp indices counting from the end,
+ * as ee.Array.get does.
+ * @ignore
+ */
+var _get = function(arr, band, t){
+  var row = arr[band];
+  return row[t < 0 ? row.length + t : t];
+};
+
+/**
+ * Compute the signed time difference (in days) between the Day of Year of an image and of a pattern timestamp,
+ * as DTWDist does, i.e. positive if the image is later than the pattern timestamp,
+ * relative to the season start and/or on a cyclic year if requested.
+ * @param {Number} t1: The Day of Year of the image.
+ * @param {Number} t2: The Day of Year of the pattern timestamp.
+ * @param {Dictionary} options: The DTWDist options (cyclic_doy, season_start, year_length).
+ * @returns {Number}
+ */
+exports.signedTimeDiff = function(t1, t2, options){
+  options = options || {};
+  var year_length = options.year_length || 365;
+
+  if (options.season_start !== undefined && options.season_start !== null) {
+    t1 = ((t1 - options.season_start) % year_length + year_length) % year_length;
+    t2 = ((t2 - options.season_start) % year_length + year_length) % year_length;
+  }
+
+  var dt = t1 - t2;
+  if (options.cyclic_doy) {
+    // The shortest way around the year, i.e. within [-year_length / 2, year_length / 2)
+    dt = ((dt + year_length / 2) % year_length + year_length) % year_length - year_length / 2;
+  }
+
+  return dt;
+};
+
+/**
+ * Compute the (absolute) time difference (in days) between the Day of Year of an image and of a pattern timestamp,
+ * with the same options as signedTimeDiff.
+ * @param {Number} t1: The Day of Year of the image.
+ * @param {Number} t2: The Day of Year of the pattern timestamp.
+ * @param {Dictionary} options: The DTWDist options (cyclic_doy, season_start, year_length).
+ * @returns {Number}
+ */
+exports.timeDiff = function(t1, t2, options){
+  return Math.abs(exports.signedTimeDiff(t1, t2, options));
+};
+
+/**
+ * Compute the weight of the 'time-weighted' approach between the Day of Year of an image and of a pattern timestamp,
+ * as DTWDist does.
+ * @param {Number} t1: The Day of Year of the image.
+ * @param {Number} t2: The Day of Year of the pattern timestamp.
+ * @param {Dictionary} options: The DTWDist options (weight_type, alpha, beta, weight_offset, beta_early, beta_late,
+ *                              cyclic_doy, season_start, year_length). Custom weight functions are not supported.
+ * @returns {Number}
+ */
+exports.timeWeight = function(t1, t2, options){
+  options = options || {};
+  var weight_type = options.weight_type || 'logistic';
+  var beta = options.beta || 50;
+  var alpha = options.alpha || 0.1;
+  var dt = exports.timeDiff(t1, t2, options);
+
+  if (weight_type === 'linear') {
+    return alpha * dt + (options.weight_offset !== undefined ? options.weight_offset : beta);
+  } else if (weight_type === 'gaussian') {
+    return 1 - Math.exp(Math.pow(dt, 2) / (-2 * Math.pow(beta, 2)));
+  }
+
+  var midpoint = beta;
+  if (weight_type === 'asymmetric') {
+    midpoint = exports.signedTimeDiff(t1, t2, options) > 0 ? options.beta_late || beta : options.beta_early || beta;
+  }
+  return 1 / (1 + Math.exp(alpha * (dt - midpoint)));
+};
+
+/**
+ * Compute the range of pattern timestamps allowed by an index-based global path constraint ('sakoe-chiba' or 'itakura')
+ * for a given image of the time series, as DTWDist does.
+ * @param {Number} i: The index of the image in the time series.
+ * @param {Number} timeseries_len: The length of the time series.
+ * @param {Number} patterns_len: The length of the pattern.
+ * @param {Dictionary} options: The DTWDist options (constraint_type, window, slope).
+ * @returns {Array} The first and last allowed pattern timestamp indices,
+ *                  or the full pattern range if no index-based constraint is used.
+ */
+exports.regionBounds = function(i, timeseries_len, patterns_len, options){
+  options = options || {};
+  var window = options.window || 1;
+  var slope = options.slope || 2;
+  var t_last = timeseries_len - 1;
+  var p_last = patterns_len - 1;
+  var j_min = 0;
+  var j_max = p_last;
+
+  if (options.constraint_type === 'sakoe-chiba') {
+    j_min = (i - window) * p_last / t_last;
+    j_max = (i + window) * p_last / t_last;
+  } else if (options.constraint_type === 'itakura') {
+    var u = i / t_last;
+    j_min = Math.max(u / slope, 1 - (1 - u) * slope) * p_last;
+    j_max = Math.min(u * slope, 1 - (1 - u) / slope) * p_last;
+  }
+
+  return [Math.max(Math.ceil(j_min - 1e-9), 0), Math.min(Math.floor(j_max + 1e-9), p_last)];
+};
+
+/**
+ * Retrieve whether each observation of a time series is valid, i.e. has a value (neither null nor NaN) in all bands,
+ * the way masked pixels are handled by the 'gap_mode' option of DTWDist.
+ * @param {Array} timeseries: An array of dimension [n, t], with the last band being the Day of Year.
+ *                            Masked observations are represented by null or NaN values.
+ * @param {Dictionary} options: The DTWDist options (band_no, timeseries_len).
+ * @returns {Array} An array of t booleans.
+ */
+exports.validObservations = function(timeseries, options){
+  options = options || {};
+  var band_no = options.band_no || timeseries.length - 1;
+  var timeseries_len = options.timeseries_len || timeseries[0].length;
+
+  var valid = [];
+  for (var i = 0; i < timeseries_len; i++) {
+    var valid_obs = true;
+    for (var n = 0; n < band_no; n++) {
+      if (timeseries[n][i] === null || isNaN(timeseries[n][i])) {
+        valid_obs = false;
+      }
+    }
+    valid.push(valid_obs);
+  }
+
+  return valid;
+};
+
+/**
+ * Compute the derivative of the bands of a series (pattern or pixel time series), as the 'derivative_weight' option
+ * of DTWDist does for Derivative DTW, leaving the Day of Year band unchanged.
+ * @param {Array} series: An array of dimension [n, t] (t >= 3), with the last band being the Day of Year.
+ *                        Masked observations are represented by null or NaN values, and mask the neighbouring derivatives.
+ * @param {Dictionary} options: The DTWDist options (band_no).
+ * @returns {Array} An array of dimension [n, t].
+ */
+exports.derivativeSeries = function(series, options){
+  options = options || {};
+  var band_no = options.band_no || series.length - 1;
+  var _value = function(value){return value === null ? NaN : value};
+
+  return series.map(function(band, n){
+    if (n >= band_no) {
+      return band;
+    }
+    return band.map(function(value, i){
+      var c = Math.min(Math.max(i, 1), band.length - 2);
+      var x0 = _value(band[c - 1]);
+      var x1 = _value(band[c]);
+      var x2 = _value(band[c + 1]);
+      return (x1 - x0 + (x2 - x0) / 2) / 2;
+    });
+  });
+};
+
+/**
+ * Compute the local cost matrix (dis_mat in DTWDist) between a single pattern and a time series.
+ * @param {Array} pattern: An array of dimension [n, t] with n the number of bands (with the last band being the Day of Year),
+ *                         and t the number of timestamps of the pattern, i.e. one element of the DTWDist patterns array.
+ * @param {Array} timeseries: An array of dimension [n, t] with n the number of bands (with the last band being the Day of Year),
+ *                            and t the number of timestamps in the time series, i.e. the values of a single pixel.
+ * @param {Dictionary} options: The same options as DTWDist (band_no, timeseries_len, patterns_len, constraint_type,
+ *                              weight_type, distance_type, band_weights, beta, alpha, weight_offset, beta_early, beta_late,
+ *                              cyclic_doy, season_start, year_length, window, slope, gap_mode, gap_penalty, derivative_weight).
+ *                              See dtw.js for their description. Custom distance and time weight functions are not supported.
+ * @returns {Array} An array of dimension [timeseries_len, patterns_len].
+ */
+exports.distanceMatrix = function(pattern, timeseries, options){
+  options = options || {};
+  var band_no = options.band_no || pattern.length - 1;
+  var timeseries_len = options.timeseries_len || timeseries[0].length;
+  var patterns_len = options.patterns_len || pattern[0].length;
+  var constraint_type = options.constraint_type || 'time-weighted';
+  var weight_type = options.weight_type || 'logistic';
+  var distance_type = options.distance_type || 'euclidean';
+  var band_weights = options.band_weights || _repeat(1, band_no);
+  var beta = options.beta || 50;
+  var derivative_weight = options.derivative_weight || 0;
+
+  // Custom distances are functions of array images, which can only be evaluated server-side
+  if (typeof distance_type === 'function') {
+    throw new Error('Custom distance functions are not supported by the client-side DTW engine');
+  }
+  // Same for custom time weights, which are functions of ee.Number
+  if (constraint_type === 'time-weighted') {
+    if (typeof weight_type === 'function') {
+      throw new Error('Custom time weight functions are not supported by the client-side DTW engine');
+    }
+    exports.checkTimeWeight(options);
+  }
+
+  var doy_list = timeseries[timeseries.length - 1];
+  var valid = exports.validObservations(timeseries, options);
+
+  if (derivative_weight > 0) {
+    var pattern_deriv = exports.derivativeSeries(pattern, options);
+    var timeseries_deriv = exports.derivativeSeries(timeseries, options);
+  }
+
+  // Compute the distance between the bands of a series at image i and of a pattern at timestamp j,
+  // prev being the index of the image preceding image i. The values of the series are cast to 16-bit integers
+  // as the images in DTWDist, while the derivatives are compared at full precision, as those of the patterns.
+  var _localDist = function(pattern, timeseries, i, j, prev, is_derivative){
+    var _cast = function(value){return is_derivative ? value : exports.toInt16(value)};
+    // dis_sum accumulates the weighted band terms, whereas dot, x_norm and y_norm are only used by the cosine distance
+    var dis_sum = 0;
+    var dot = 0;
+    var x_norm = 0;
+    var y_norm = 0;
+    for (var n = 0; n < band_no; n++) {
+      var x1 = _cast(timeseries[n][i]);
+      var y1 = _get(pattern, n, j);
+      var w = band_weights[n];
+
+      if (distance_type === 'euclidean') {
+        dis_sum += w * Math.pow(x1 - y1, 2);
+      } else if (distance_type === 'manhattan') {
+        dis_sum += w * Math.abs(x1 - y1);
+      } else if (distance_type === 'chebyshev') {
+        dis_sum = Math.max(dis_sum, w * Math.abs(x1 - y1));
+      } else if (distance_type === 'cosine') {
+        dot += w * x1 * y1;
+        x_norm += w * x1 * x1;
+        y_norm += w * y1 * y1;
+      } else if (distance_type === 'angular') {
+        var x2 = _cast(timeseries[n][prev]);
+        var y2 = _get(pattern, n, j - 1);
+        dis_sum += w * Math.acos((x1 * y1 + x2 * y2)
+                                 / (Math.sqrt(x1 * x1 + x2 * x2) * Math.sqrt(y1 * y1 + y2 * y2)));
+      }
+    }
+
+    if (distance_type === 'euclidean') {
+      return Math.sqrt(dis_sum);
+    } else if (distance_type === 'cosine') {
+      // A zero vector (e.g. zero-filled bands) has no direction: its distance is 1, as Earth Engine divisions by 0 return 0
+      var norm_product = Math.sqrt(x_norm) * Math.sqrt(y_norm);
+      return norm_product === 0 ? 1 : 1 - dot / norm_product;
+    } else if (distance_type === 'angular') {
+      return Math.sqrt(dis_sum * (doy_list[i] !== doy_list[0] ? 1 : 0));
+    }
+    return dis_sum;
+  };
+
+  var dis_mat = [];
+  for (var i = 0; i < timeseries_len; i++) {
+    var prev = _previousIndex(doy_list.slice(0, timeseries_len), i);
+    var bounds = exports.regionBounds(i, timeseries_len, patterns_len, options);
+    var dis_list = [];
+
+    for (var j = 0; j < patterns_len; j++) {
+      var t1 = doy_list[i];
+      var t2 = _get(pattern, pattern.length - 1, j);
+      var time_arr = exports.timeDiff(t1, t2, options);
+
+      if (constraint_type === 'time-constrained' && time_arr > beta) {
+        dis_list.push(1e6);
+        continue;
+      }
+
+      if (j < bounds[0] || j > bounds[1]) {
+        dis_list.push(OUT_OF_REGION);
+        continue;
+      }
+
+      // Masked observations carry the gap penalty, or a masked (NaN) cost if no gap mode is set
+      if (!valid[i]) {
+        dis_list.push(options.gap_mode ? options.gap_penalty || 0 : NaN);
+        continue;
+      }
+
+      var dis;
+      if (derivative_weight === 0) {
+        dis = _localDist(pattern, timeseries, i, j, prev);
+      } else if (derivative_weight === 1) {
+        dis = _localDist(pattern_deriv, timeseries_deriv, i, j, prev, true);
+      } else {
+        dis = _localDist(pattern, timeseries, i, j, prev) * (1 - derivative_weight)
+              + _localDist(pattern_deriv, timeseries_deriv, i, j, prev, true) * derivative_weight;
+      }
+      var cost_weight = 0;
+      if (constraint_type === 'time-weighted') {
+        cost_weight = exports.timeWeight(t1, t2, options);
+      }
+
+      // Derivatives next to a masked observation are masked as well
+      if (isNaN(dis) && options.gap_mode) {
+        dis_list.push(options.gap_penalty || 0);
+        continue;
+      }
+
+      dis_list.push(dis + cost_weight);
+    }
+    dis_mat.push(dis_list);
+  }
+
+  return dis_mat;
+};
+
+/**
+ * Compute the accumulated cost matrix (D_mat in DTWDist) from a local cost matrix,
+ * aligning the time series and the pattern from cell (0, 0) to cell (-1, -1),
+ * or from any image of the time series if 'open_boundary' is true.
+ * @param {Array} dis_mat: The local cost matrix of dimension [timeseries_len, patterns_len].
+ * @param {Dictionary} options: The DTWDist options, of which only the index-based global path constraints
+ *                              (constraint_type, window, slope), the 'open_boundary', 'gap_mode', 'soft' and 'gamma' options
+ *                              are used here.
+ * @param {Array} valid: Whether each observation of the time series is valid, as returned by validObservations.
+ *                       Only used if 'gap_mode' is 'skip'. Defaults to all observations being valid.
+ * @returns {Array} An array of dimension [timeseries_len, patterns_len].
+ */
+exports.accumulatedCost = function(dis_mat, options, valid){
+  var timeseries_len = dis_mat.length;
+  var patterns_len = dis_mat[0].length;
+  var open_boundary = _isOpenBoundary(options);
+  var skip = _isSkippingGaps(options) && valid !== undefined;
+  var index_constrained = Boolean(options) && (options.constraint_type === 'sakoe-chiba'
+                                               || options.constraint_type === 'itakura');
+  var soft = Boolean(options && options.soft && options.gamma !== 0);
+  var gamma = (options && options.gamma) || 1;
+  var seen = false;
+
+  var inRegion = function(i, j){
+    if (i < 0 || j < 0) {
+      return false;
+    }
+    var bounds = exports.regionBounds(i, timeseries_len, patterns_len, options);
+    return j >= bounds[0] && j <= bounds[1];
+  };
+
+  var D_mat = [];
+  for (var i = 0; i < timeseries_len; i++) {
+    D_mat.push([]);
+
+    // Skipped masked observations carry over the accumulated cost of the previous image
+    if (skip && !valid[i]) {
+      for (var x = 0; x < patterns_len; x++) {
+        D_mat[i].push(i > 0 ? D_mat[i - 1][x] : OUT_OF_REGION);
+      }
+      continue;
+    }
+
+    for (var j = 0; j < patterns_len; j++) {
+      if (!inRegion(i, j)) {
+        D_mat[i].push(OUT_OF_REGION);
+        continue;
+      }
+
+      // Open begin: the first pattern timestamp has no predecessor, so the match can start at any image
+      if (open_boundary && j === 0) {
+        D_mat[i].push(dis_mat[i][j]);
+        continue;
+      }
+
+      // Only the predecessors within the global constraint region are considered
+      var costs = [];
+      [[i - 1, j], [i, j - 1], [i - 1, j - 1]].forEach(function(pred){
+        if (inRegion(pred[0], pred[1])) {
+          costs.push(D_mat[pred[0]][pred[1]]);
+        }
+      });
+      // Cells with no predecessor in the index-based constraint region keep the placeholder cost
+      if (index_constrained) {
+        costs.push(OUT_OF_REGION);
+      }
+
+      // The alignment starts at the first (valid) image
+      var prev = Math.min.apply(null, costs.concat(j === 0 && !seen ? 0 : OUT_OF_REGION));
+      if (soft && costs.length > 1) {
+        prev = Math.min(exports.softMin(costs, gamma), j === 0 && !seen ? 0 : OUT_OF_REGION);
+      }
+      D_mat[i].push(prev + dis_mat[i][j]);
+    }
+    seen = true;
+  }
+
+  return D_mat;
+};
+
+/**
+ * Compute the soft-min of accumulated costs, as the 'soft' option of DTWDist does,
+ * i.e. -gamma * log(sum(exp(-cost / gamma))), computed relative to the minimum for stability.
+ * @param {Array} costs: The accumulated costs to combine.
+ * @param {Number} gamma: The smoothing parameter of soft-DTW.
+ * @returns {Number}
+ */
+exports.softMin = function(costs, gamma){
+  var hard_min = Math.min.apply(null, costs);
+  var exp_sum = 0;
+  costs.forEach(function(cost){
+    exp_sum += Math.exp(-(cost - hard_min) / gamma);
+  });
+  return hard_min - gamma * Math.log(exp_sum);
+};
+
+/**
+ * Backtrack the optimal warping path through an accumulated cost matrix, as the 'return_path' option of DTWDist does,
+ * i.e. from cell (-1, -1) to cell (0, 0), taking the diagonal step first in case of ties.
+ * @param {Array} D_mat: The accumulated cost matrix of dimension [timeseries_len, patterns_len].
+ * @param {Boolean} open_boundary: Whether the path stops as soon as the first pattern timestamp is reached,
+ *                                 as in the open-begin (subsequence) alignment. Defaults to false.
+ * @param {Number} end: The index of the last image of the path. Defaults to timeseries_len - 1.
+ * @param {Array} skipped: Whether each image of the time series is a masked observation skipped in the alignment,
+ *                         through which the path goes straight up. Defaults to no skipped images.
+ * @returns {Array} The (i, j) pairs of the warping path, ordered from the first to the last aligned cell.
+ */
+exports.warpingPath = function(D_mat, open_boundary, end, skipped){
+  var i = end === undefined ? D_mat.length - 1 : end;
+  var j = D_mat[i].length - 1;
+  var path = [[i, j]];
+  var isSkipped = function(i){return Boolean(skipped && skipped[i]) && i > 0};
+
+  while ((open_boundary ? j > 0 : i > 0 || j > 0) || isSkipped(i)) {
+    if (isSkipped(i)) {
+      i--;
+      path.unshift([i, j]);
+      continue;
+    }
+    var diag = i > 0 && j > 0 ? D_mat[i - 1][j - 1] : Infinity;
+    var up = i > 0 ? D_mat[i - 1][j] : Infinity;
+    var left = j > 0 ? D_mat[i][j - 1] : Infinity;
+
+    if (diag <= up && diag <= left) {
+      i--;
+      j--;
+    } else if (up <= left) {
+      i--;
+    } else {
+      j--;
+    }
+    path.unshift([i, j]);
+  }
+
+  return path;
+};
+
+/**
+ * Compute the DTW dissimilarity between a single time series and each pattern, before any casting.
+ * @param {Array} patterns_arr: An array of dimension [k, n, t], laid out as produced by prepareSignatures in dtw.js.
+ * @param {Array} timeseries: An array of dimension [n, t], with the last band being the Day of Year.
+ * @param {Dictionary} options: The same options as DTWDist. See dtw.js for their description.
+ * @returns {Array} An array of length k, the accumulated cost of each pattern.
+ */
+exports.patternsDist = function(patterns_arr, timeseries, options){
+  options = options || {};
+  var patterns_no = options.patterns_no || patterns_arr.length;
+
+  var valid = exports.validObservations(timeseries, options);
+
+  var dist_list = [];
+  for (var k = 0; k < patterns_no; k++) {
+    var D_mat = exports.accumulatedCost(exports.distanceMatrix(patterns_arr[k], timeseries, options), options, valid);
+    dist_list.push(D_mat[D_mat.length - 1][D_mat[D_mat.length - 1].length - 1]);
+  }
+
+  return dist_list;
+};
+
+/**
+ * Select the best non-overlapping subsequence matches between a single time series and the patterns,
+ * as the 'open_boundary' option of DTWDist does.
+ * @param {Array} patterns_arr: An array of dimension [k, n, t], laid out as produced by prepareSignatures in dtw.js.
+ * @param {Array} timeseries: An array of dimension [n, t], with the last band being the Day of Year.
+ * @param {Dictionary} options: The same options as DTWDist, including 'matches_no'. See dtw.js for their description.
+ * @returns {Array} The matches, ordered from the best one, each a dictionary with the 'DTW' dissimilarity
+ *                  (before any casting), and the 'start_doy' and 'end_doy' of the match.
+ */
+exports.subsequenceMatches = function(patterns_arr, timeseries, options){
+  options = options || {};
+  var patterns_no = options.patterns_no || patterns_arr.length;
+  var matches_no = options.matches_no || 1;
+  var doy_list = timeseries[timeseries.length - 1];
+  var valid = exports.validObservations(timeseries, options);
+  var skipped = _skippedObservations(timeseries, options);
+
+  var candidates = [];
+  for (var k = 0; k < patterns_no; k++) {
+    var D_mat = exports.accumulatedCost(exports.distanceMatrix(patterns_arr[k], timeseries, options), options, valid);
+    for (var i = 0; i < D_mat.length; i++) {
+      // The matches cannot end at a skipped masked observation
+      if (skipped[i]) {
+        continue;
+      }
+      candidates.push({DTW: D_mat[i][D_mat[i].length - 1],
+                       start: exports.warpingPath(D_mat, true, i, skipped)[0][0],
+                       end: i});
+    }
+  }
+  candidates.sort(function(a, b){return a.DTW - b.DTW});
+
+  var matches = [];
+  while (matches.length < matches_no && candidates.length > 0) {
+    var best = candidates[0];
+    matches.push({DTW: best.DTW, start_doy: doy_list[best.start], end_doy: doy_list[best.end]});
+    candidates = candidates.filter(function(candidate){
+      return candidate.start > best.end || candidate.end < best.start;
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Normalise the bands of a single series (pattern or pixel time series) as the 'norm_stats' option of DTWDist does,
+ * leaving the Day of Year band unchanged.
+ * @param {Array} series: An array of dimension [n, t], with the last band being the Day of Year.
+ * @param {Dictionary} norm_stats: The normalisation statistics, as returned by normStats in dtw.js
+ *                                 (once evaluated client-side), with the 'offset', 'scale' and 'norm_factor' entries.
+ * @param {Boolean} is_pattern: Whether the series is a pattern, whose normalised values are cast to 16-bit integers
+ *                              as in normalizePatterns. Defaults to false.
+ * @returns {Array} The normalised array of dimension [n, t].
+ */
+exports.normalizeSeries = function(series, norm_stats, is_pattern){
+  return series.map(function(band, n){
+    if (n === series.length - 1) {
+      return band;
+    }
+    return band.map(function(value){
+      if (value === null) {
+        return value;
+      }
+      var norm_value = (value - norm_stats.offset[n]) / norm_stats.scale[n] * norm_stats.norm_factor;
+      return is_pattern ? exports.toInt16(norm_value) : norm_value;
+    });
+  });
+};
+
+/**
+ * Compute the DTW dissimilarity of a single pixel, returning the same value as exports.DTWDist in dtw.js does
+ * for that pixel, i.e. the minimum accumulated cost over all patterns cast to the output data type.
+ * @param {Array} patterns_arr: An array of dimension [k, n, t], laid out as produced by prepareSignatures in dtw.js,
+ *                              with k the number of patterns, n number of bands (with the last band being the Day of Year),
+ *                              and t the number of timestamps in the patterns.
+ * @param {Array} timeseries: An array of dimension [n, t], with n the number of bands (with the last band being the Day of Year),
+ *                            and t the number of timestamps in the time series. The Day of Year band plays the role
+ *                            of the 'doy' metadata property of the DTWDist image collection.
+ * @param {Dictionary} options: The same options as DTWDist (patterns_no, band_no, timeseries_len, patterns_len,
+ *                              constraint_type, weight_type, distance_type, band_weights, beta, alpha, weight_offset,
+ *                              beta_early, beta_late, cyclic_doy, season_start, year_length, window, slope, open_boundary,
+ *                              matches_no, return_path, gap_mode, gap_penalty, norm_stats, output_type, output_scale,
+ *                              path_normalized, pattern_dists, derivative_weight, soft, gamma).
+ *                              See dtw.js for their description.
+ * @returns {Number|Dictionary|Array} The dissimilarity, or if 'pattern_dists', 'return_path' or 'path_normalized' is true,
+ *                                    a dictionary with the same entries as the bands returned by DTWDist
+ *                                    ('DTW', 'pattern_dists', 'DTW_norm', 'pattern', 'path', 'D_mat' and 'dis_mat'),
+ *                                    or if 'open_boundary' is true, the list of matches as returned by subsequenceMatches
+ *                                    with their dissimilarity cast as in DTWDist.
+ */
+exports.DTWDist = function(patterns_arr, timeseries, options){
+  options = options || {};
+
+  if (options.norm_stats) {
+    patterns_arr = patterns_arr.map(function(pattern){return exports.normalizeSeries(pattern, options.norm_stats, true)});
+    timeseries = exports.normalizeSeries(timeseries, options.norm_stats);
+  }
+
+  if (_isOpenBoundary(options)) {
+    return exports.subsequenceMatches(patterns_arr, timeseries, options).map(function(match){
+      return {DTW: exports.castOutput(match.DTW, options), start_doy: match.start_doy, end_doy: match.end_doy};
+    });
+  }
+
+  var dist_list = exports.patternsDist(patterns_arr, timeseries, options);
+  var dtw_raw = Math.min.apply(null, dist_list);
+  var dtw = exports.castOutput(dtw_raw, options);
+
+  if (options.pattern_dists && !options.return_path && !options.path_normalized) {
+    return {DTW: dtw, pattern_dists: dist_list};
+  }
+
+  if (options.return_path || options.path_normalized) {
+    var pattern = dist_list.indexOf(dtw_raw);
+    var dis_mat = exports.distanceMatrix(patterns_arr[pattern], timeseries, options);
+    var D_mat = exports.accumulatedCost(dis_mat, options, exports.validObservations(timeseries, options));
+    var path = exports.warpingPath(D_mat);
+
+    var output = {DTW: dtw};
+    if (options.pattern_dists) {
+      output.pattern_dists = dist_list;
+    }
+    if (options.path_normalized) {
+      output.DTW_norm = exports.castOutput(dtw_raw / path.length, options);
+    }
+    if (options.return_path) {
+      output.pattern = pattern;
+      output.path = path;
+      output.D_mat = D_mat;
+      output.dis_mat = dis_mat;
+    }
+    return output;
+  }
+
+  return dtw;
+};
@@ -0,0 +1,235 @@
+// ****************************************************************************************************************** //
+// *************** Check that the client-side DTW engine matches the server-side DTWDist on fixture series ********** //
+// ****************************************************************************************************************** //
+
+// Import the server-side and client-side Dynamic Time Warping scripts
+var DTW = require('users/soilwatch/functions:dtw.js');
+var DTWClient = require('users/soilwatch/functions:dtw_client.js');
+
+// Fixture patterns of dimension [k, n, t]: 2 patterns, 2 bands + the Day of Year band, 4 timestamps.
+var PATTERNS = [[[1000, 2000, 3000, 2500], [500, 600, 700, 800], [190, 220, 250, 280]],
+                [[3000, 2000, 1000, 500], [100, 200, 300, 400], [200, 230, 260, 290]]];
+
+// Fixture pixel time series of dimension [n, t]: 2 bands + the Day of Year band, 4 timestamps.
+var FIXTURE_SERIES = {'close to pattern 1': [[1100, 1900, 3100, 2400], [550, 580, 720, 790], [195, 225, 255, 285]],
+                      'close to pattern 2': [[2900, 2100, 1200, 400], [120, 180, 310, 420], [195, 225, 255, 285]],
+                      'shifted pattern 1': [[900, 1000, 2000, 3000], [450, 500, 600, 700], [195, 225, 255, 285]]
+                     };
+
+// DTW options to check, covering the constraint, weight and distance types.
+var FIXTURE_OPTIONS = {'time-weighted logistic': {constraint_type: 'time-weighted', weight_type: 'logistic'},
+                       'time-weighted linear': {constraint_type: 'time-weighted', weight_type: 'linear'},
+                       'time-weighted linear offset': {constraint_type: 'time-weighted', weight_type: 'linear', weight_offset: 0},
+                       'time-weighted gaussian': {constraint_type: 'time-weighted', weight_type: 'gaussian', beta: 30},
+                       'time-weighted asymmetric': {constraint_type: 'time-weighted', weight_type: 'asymmetric',
+                                                    beta_early: 20, beta_late: 60, output_type: 'float'},
+                       'time-constrained': {constraint_type: 'time-constrained', beta: 40},
+                       'time-weighted angular': {constraint_type: 'time-weighted', distance_type: 'angular'},
+                       'time-constrained angular': {constraint_type: 'time-constrained', distance_type: 'angular', beta: 40},
+                       'time-weighted manhattan': {constraint_type: 'time-weighted', distance_type: 'manhattan'},
+                       'time-constrained chebyshev': {constraint_type: 'time-constrained', distance_type: 'chebyshev', beta: 40},
+                       'time-weighted cosine': {constraint_type: 'time-weighted', distance_type: 'cosine'},
+                       'time-constrained weighted euclidean': {constraint_type: 'time-constrained', band_weights: [1, 4], beta: 40},
+                       'time-weighted normalised': {constraint_type: 'time-weighted',
+                                                    norm_stats: {offset: [2000, 400], scale: [800, 200], norm_factor: 1000}},
+                       'time-weighted float': {constraint_type: 'time-weighted', output_type: 'float'},
+                       'time-weighted scaled': {constraint_type: 'time-weighted', output_type: 'scaled', output_scale: 100},
+                       'time-weighted derivative': {constraint_type: 'time-weighted', derivative_weight: 1},
+                       'time-constrained value and derivative': {constraint_type: 'time-constrained', derivative_weight: 0.5,
+                                                                 beta: 40},
+                       'time-weighted soft': {constraint_type: 'time-weighted', soft: true, gamma: 100, output_type: 'float'},
+                       'time-weighted pruned': {constraint_type: 'time-weighted', lb_pruning: true, output_type: 'float'},
+                       'time-constrained pruned': {constraint_type: 'time-constrained', lb_pruning: true, beta: 40},
+                       'time-constrained pruned and skipped': {constraint_type: 'time-constrained', lb_pruning: true, beta: 40,
+                                                               pruning_region: ee.Geometry.Point([0, 0])},
+                       'sakoe-chiba': {constraint_type: 'sakoe-chiba', window: 1},
+                       'itakura': {constraint_type: 'itakura', slope: 2},
+                       'sakoe-chiba pruned': {constraint_type: 'sakoe-chiba', window: 1, lb_pruning: true}
+                      };
+
+// Fixture pixel time series with a masked (null) observation, and the gap modes to check on it.
+var GAP_SERIES = [[1100, null, 1900, 3100, 2400], [550, null, 580, 720, 790], [195, 210, 225, 255, 285]];
+var GAP_OPTIONS = {'skip': {constraint_type: 'time-weighted', gap_mode: 'skip'},
+                   'penalty': {constraint_type: 'time-weighted', gap_mode: 'penalty', gap_penalty: 50}
+                  };
+
+// Convert a [n, t] series into an image collection of constant images carrying the 'doy' metadata property,
+// with null values being masked, and optionally with the Day of Year as a band named 'doy_band'
+var toCollection = function(series, doy_band){
+  var doy_list = series[series.length - 1];
+
+  return ee.ImageCollection(doy_list.map(function(doy, i){
+    var values = series.slice(0, -1).map(function(band){return band[i]});
+    var mask = values.map(function(value){return value === null ? 0 : 1});
+    var img = ee.Image.constant(values.map(function(value){return value === null ? 0 : value}))
+                      .updateMask(ee.Image.constant(mask))
+                      .toInt16();
+    if (doy_band) {
+      img = img.addBands(ee.Image.constant(doy).toInt16().rename(doy_band));
+    }
+    return img.set('doy', doy);
+  }));
+};
+
+var point = ee.Geometry.Point([0, 0]);
+
+// Tolerances of the comparisons: the server computes in single precision and the client in double precision,
+// so float outputs may differ by a few ulps, and integer outputs by one unit when the rounding falls on either side.
+var REL_TOLERANCE = 1e-5;
+var ABS_TOLERANCE = 1e-3;
+var checks = [];
+
+// Compare the server dissimilarity with the expected one (i.e. the client or hand-computed dissimilarity)
+// within the tolerance, and report the check as passed or failed
+var checkDist = function(name, options, server_dist, expected_dist, expected_name){
+  var integer_output = (options.output_type || 'uint16') !== 'float';
+  var tolerance = ee.Number(Math.abs(expected_dist) * REL_TOLERANCE).max(integer_output ? 1 : ABS_TOLERANCE);
+  var pass = ee.Number(server_dist).subtract(expected_dist).abs().lte(tolerance);
+  checks.push(pass);
+
+  var report = {'server': server_dist, 'status': ee.Algorithms.If(pass, 'PASS', 'FAIL')};
+  report[expected_name || 'client'] = expected_dist;
+  print(name, ee.Dictionary(report));
+};
+
+Object.keys(FIXTURE_SERIES).forEach(function(series_name){
+  var series = FIXTURE_SERIES[series_name];
+
+  Object.keys(FIXTURE_OPTIONS).forEach(function(options_name){
+    var options = FIXTURE_OPTIONS[options_name];
+
+    var server_dist = ee.Number(DTW.DTWDist(PATTERNS, toCollection(series), options)
+                                .reduceRegion({reducer: ee.Reducer.first(), geometry: point, scale: 1000})
+                                .get('DTW'));
+    var client_dist = DTWClient.DTWDist(PATTERNS, series, options);
+
+    checkDist(series_name + ' / ' + options_name, options, server_dist, client_dist);
+  });
+});
+
+// Convert a [n, t] series into a constant array image of dimension [t, n], as produced by prepareBands
+var toArrayImage = function(series){
+  return ee.Image(ee.Array(series[0].map(function(value, i){
+    return series.map(function(band){return band[i]});
+  }))).toInt16();
+};
+
+// Alternative inputs of DTWDist, along with the options they need, which must give the same dissimilarity:
+// the array image with a Day of Year list, the array image with its per-pixel Day of Year column,
+// and the image collection with a per-pixel Day of Year band
+var INPUT_VARIANTS = {'array image': function(series){
+                        return [toArrayImage(series), {doy_list: series[series.length - 1]}];
+                      },
+                      'array image with per-pixel doy': function(series){
+                        return [toArrayImage(series), {timeseries_len: series[0].length}];
+                      },
+                      'doy band': function(series){
+                        return [toCollection(series, 'doy'), {doy_band: 'doy'}];
+                      }
+                     };
+
+// Compare the dissimilarity of each alternative input for each option
+Object.keys(INPUT_VARIANTS).forEach(function(variant_name){
+  Object.keys(FIXTURE_SERIES).forEach(function(series_name){
+    var series = FIXTURE_SERIES[series_name];
+    var variant = INPUT_VARIANTS[variant_name](series);
+
+    Object.keys(FIXTURE_OPTIONS).forEach(function(options_name){
+      // The pruning does not support a per-pixel Day of Year
+      if (FIXTURE_OPTIONS[options_name].lb_pruning && !variant[1].doy_list) {
+        return;
+      }
+      var options = {};
+      [variant[1], FIXTURE_OPTIONS[options_name]].forEach(function(source){
+        Object.keys(source).forEach(function(option){options[option] = source[option]});
+      });
+
+      var server_dist = ee.Number(DTW.DTWDist(PATTERNS, variant[0], options)
+                                  .reduceRegion({reducer: ee.Reducer.first(), geometry: point, scale: 1000})
+                                  .get('DTW'));
+      var client_dist = DTWClient.DTWDist(PATTERNS, series, options);
+
+      checkDist(series_name + ' / ' + variant_name + ' / ' + options_name, options, server_dist, client_dist);
+    });
+  });
+});
+
+// Compare the warping path and best-matching pattern of the shifted series
+var shifted_series = FIXTURE_SERIES['shifted pattern 1'];
+var server_path = DTW.DTWDist(PATTERNS, toCollection(shifted_series), {return_path: true})
+                     .select(['pattern', 'path'])
+                     .reduceRegion({reducer: ee.Reducer.first(), geometry: point, scale: 1000});
+var client_path = DTWClient.DTWDist(PATTERNS, shifted_series, {return_path: true});
+
+var path_pass = ee.Number(ee.List(server_path.get('path')).equals(ee.List(client_path.path)))
+                 .and(ee.Number(server_path.get('pattern')).eq(client_path.pattern));
+checks.push(path_pass);
+print('shifted pattern 1 / warping path', ee.Dictionary({'server': server_path,
+                                                         'client': {'pattern': client_path.pattern,
+                                                                    'path': client_path.path},
+                                                         'status': ee.Algorithms.If(path_pass, 'PASS', 'FAIL')}));
+
+// Compare the dissimilarity of the series with a masked observation for each gap mode
+Object.keys(GAP_OPTIONS).forEach(function(options_name){
+  var options = GAP_OPTIONS[options_name];
+
+  var server_dist = ee.Number(DTW.DTWDist(PATTERNS, toCollection(GAP_SERIES), options)
+                              .reduceRegion({reducer: ee.Reducer.first(), geometry: point, scale: 1000})
+                              .get('DTW'));
+  var client_dist = DTWClient.DTWDist(PATTERNS, GAP_SERIES, options);
+
+  checkDist('masked observation / ' + options_name, options, server_dist, client_dist);
+});
+
+// Hand-computed cases of a single pattern and pixel time series, whose expected dissimilarity is derived
+// from the definition of each option rather than by either engine.
+// Same cases as examples/dtw_client_node_check.js, where the derivation of each expected value is detailed.
+var HAND_CASES = [
+  {name: 'time-constrained', pattern: [[10, 20, 30], [100, 150, 200]], series: [[12, 20, 26], [100, 150, 200]],
+   options: {constraint_type: 'time-constrained', beta: 40}, expected: 6},
+  {name: 'time-constrained euclidean', pattern: [[0, 10], [0, 10], [100, 200]], series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', beta: 40}, expected: 5},
+  {name: 'time-constrained manhattan', pattern: [[0, 10], [0, 10], [100, 200]], series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', distance_type: 'manhattan', beta: 40}, expected: 7},
+  {name: 'time-constrained chebyshev', pattern: [[0, 10], [0, 10], [100, 200]], series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', distance_type: 'chebyshev', beta: 40}, expected: 4},
+  {name: 'time-constrained weighted euclidean', pattern: [[0, 10], [0, 10], [100, 200]],
+   series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', band_weights: [1, 4], beta: 40, output_type: 'float'},
+   expected: Math.sqrt(73)},
+  {name: 'time-constrained cosine with a zero vector', pattern: [[0, 3], [0, 4], [100, 200]],
+   series: [[0, 3], [0, 4], [100, 200]],
+   options: {constraint_type: 'time-constrained', distance_type: 'cosine', beta: 40, output_type: 'float'}, expected: 1},
+  {name: 'time-weighted logistic', pattern: [[10, 20], [100, 200]], series: [[10, 20], [100, 200]],
+   options: {constraint_type: 'time-weighted', output_type: 'float'}, expected: 2 / (1 + Math.exp(-5))},
+  {name: 'time-weighted linear', pattern: [[0, 10], [100, 130]], series: [[0, 10, 10], [100, 120, 130]],
+   options: {constraint_type: 'time-weighted', weight_type: 'linear', alpha: 0.01, weight_offset: 0, output_type: 'float'},
+   expected: 0.1},
+  {name: 'sakoe-chiba', pattern: [[0, 0, 20], [100, 150, 200]], series: [[0, 20, 20], [100, 150, 200]],
+   options: {constraint_type: 'sakoe-chiba', window: 1}, expected: 0},
+  {name: 'itakura', pattern: [[0, 0, 20], [100, 150, 200]], series: [[0, 20, 20], [100, 150, 200]],
+   options: {constraint_type: 'itakura', slope: 2}, expected: 20},
+  {name: 'gap penalty', pattern: [[0, 10], [100, 130]], series: [[0, null, 10], [100, 115, 130]],
+   options: {constraint_type: 'time-constrained', beta: 40, gap_mode: 'penalty', gap_penalty: 5}, expected: 5},
+  {name: 'gap skip', pattern: [[0, 10], [100, 130]], series: [[0, null, 10], [100, 115, 130]],
+   options: {constraint_type: 'time-constrained', beta: 40, gap_mode: 'skip'}, expected: 0},
+  {name: 'derivative', pattern: [[0, 10, 20], [100, 110, 120]], series: [[5, 15, 25], [100, 110, 120]],
+   options: {constraint_type: 'time-constrained', beta: 40, derivative_weight: 1, output_type: 'float'}, expected: 0},
+  {name: 'fractional derivative', pattern: [[0, 2, 4], [100, 110, 120]], series: [[0, 1, 1], [100, 110, 120]],
+   options: {constraint_type: 'time-constrained', beta: 40, derivative_weight: 1, output_type: 'float'}, expected: 3.75},
+  {name: 'value and derivative', pattern: [[0, 10, 20], [100, 110, 120]], series: [[5, 15, 25], [100, 110, 120]],
+   options: {constraint_type: 'time-constrained', beta: 40, derivative_weight: 0.5, output_type: 'float'}, expected: 7.5}
+];
+
+// Compare the server dissimilarity of each hand-computed case with its expected value
+HAND_CASES.forEach(function(hand_case){
+  var server_dist = ee.Number(DTW.DTWDist([hand_case.pattern], toCollection(hand_case.series), hand_case.options)
+                              .reduceRegion({reducer: ee.Reducer.first(), geometry: point, scale: 1000})
+                              .get('DTW'));
+
+  checkDist('hand-computed / ' + hand_case.name, hand_case.options, server_dist, hand_case.expected, 'expected');
+});
+
+// Summary of all the checks
+var failures = ee.List(checks).map(function(pass){return ee.Number(pass).not()}).reduce(ee.Reducer.sum());
+print('Failed checks (out of ' + checks.length + ')', failures);
@@ -0,0 +1,137 @@
+// ****************************************************************************************************************** //
+// ********************* Check the client-side DTW engine against hand-computed dissimilarities, in Node ************ //
+// ****************************************************************************************************************** //
+
+// Unlike examples/dtw_client_check.js, this script needs no Earth Engine session, and exits with a non-zero code
+// if any case departs from its expected dissimilarity:
+// node examples/dtw_client_node_check.js
+// The expected values are computed by hand from the definition of each option (see the comment of each case),
+// not by either engine, and examples/dtw_client_check.js checks the server-side DTWDist against the same cases,
+// so that both engines are tied to the same expected values.
+var DTWClient = require('../dtw_client.js');
+
+// Absolute tolerance of the comparisons, covering the single precision of the 'float' output type
+var TOLERANCE = 1e-3;
+
+// Small cases of a single pattern of dimension [n, t] and a pixel time series of dimension [n, t],
+// the last band being the Day of Year, with the local cost matrix written as one row per image of the time series.
+var HAND_CASES = [
+  // Only the diagonal cells are within 40 days, the others cost 1e6: |12 - 10| + |20 - 20| + |26 - 30| = 6
+  {name: 'time-constrained',
+   pattern: [[10, 20, 30], [100, 150, 200]],
+   series: [[12, 20, 26], [100, 150, 200]],
+   options: {constraint_type: 'time-constrained', beta: 40},
+   expected: 6},
+  // Diagonal cells only, the first one comparing (3, 4) with (0, 0) and the second one equal values:
+  // sqrt(3^2 + 4^2) = 5
+  {name: 'time-constrained euclidean',
+   pattern: [[0, 10], [0, 10], [100, 200]],
+   series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', beta: 40},
+   expected: 5},
+  // Same cells: 3 + 4 = 7
+  {name: 'time-constrained manhattan',
+   pattern: [[0, 10], [0, 10], [100, 200]],
+   series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', distance_type: 'manhattan', beta: 40},
+   expected: 7},
+  // Same cells: max(3, 4) = 4
+  {name: 'time-constrained chebyshev',
+   pattern: [[0, 10], [0, 10], [100, 200]],
+   series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', distance_type: 'chebyshev', beta: 40},
+   expected: 4},
+  // Same cells, the second band weighing 4: sqrt(3^2 + 4 * 4^2) = sqrt(73)
+  {name: 'time-constrained weighted euclidean',
+   pattern: [[0, 10], [0, 10], [100, 200]],
+   series: [[3, 10], [4, 10], [100, 200]],
+   options: {constraint_type: 'time-constrained', band_weights: [1, 4], beta: 40, output_type: 'float'},
+   expected: Math.sqrt(73)},
+  // Diagonal cells only, the first one comparing two zero vectors, whose cosine distance is 1 (no direction),
+  // and the second one the same vector (3, 4): 1 + (1 - 25 / 25) = 1
+  {name: 'time-constrained cosine with a zero vector',
+   pattern: [[0, 3], [0, 4], [100, 200]],
+   series: [[0, 3], [0, 4], [100, 200]],
+   options: {constraint_type: 'time-constrained', distance_type: 'cosine', beta: 40, output_type: 'float'},
+   expected: 1},
+  // Identical series: the diagonal cells only cost the logistic weight of dt = 0, i.e. 1 / (1 + exp(0.1 * (0 - 50))),
+  // while the off-diagonal cells cost at least the value difference of 10
+  {name: 'time-weighted logistic',
+   pattern: [[10, 20], [100, 200]],
+   series: [[10, 20], [100, 200]],
+   options: {constraint_type: 'time-weighted', output_type: 'float'},
+   expected: 2 / (1 + Math.exp(-5))},
+  // Local costs |x - y| + 0.01 * dt: [[0, 10.3], [10.2, 0.1], [10.3, 0]], the image of day 120 being warped
+  // onto the pattern timestamp of day 130 along the path (0, 0), (1, 1), (2, 1): 0 + 0.1 + 0 = 0.1
+  {name: 'time-weighted linear',
+   pattern: [[0, 10], [100, 130]],
+   series: [[0, 10, 10], [100, 120, 130]],
+   options: {constraint_type: 'time-weighted', weight_type: 'linear', alpha: 0.01, weight_offset: 0,
+             output_type: 'float', return_path: true},
+   expected: 0.1,
+   path: [[0, 0], [1, 1], [2, 1]]},
+  // Local costs [[0, 0, 20], [20, 20, 0], [20, 20, 0]], the path (0, 0), (0, 1), (1, 2), (2, 2) being within the band
+  {name: 'sakoe-chiba',
+   pattern: [[0, 0, 20], [100, 150, 200]],
+   series: [[0, 20, 20], [100, 150, 200]],
+   options: {constraint_type: 'sakoe-chiba', window: 1},
+   expected: 0},
+  // Same local costs, the parallelogram of slope 2 on a 3 x 3 matrix only allowing the diagonal: 0 + 20 + 0 = 20
+  {name: 'itakura',
+   pattern: [[0, 0, 20], [100, 150, 200]],
+   series: [[0, 20, 20], [100, 150, 200]],
+   options: {constraint_type: 'itakura', slope: 2},
+   expected: 20},
+  // Local costs [[0, 10], [5, 5], [10, 0]] with the penalty of the masked image:
+  // the best path (0, 0), (1, 0), (2, 1) costs 0 + 5 + 0 = 5
+  {name: 'gap penalty',
+   pattern: [[0, 10], [100, 130]],
+   series: [[0, null, 10], [100, 115, 130]],
+   options: {constraint_type: 'time-constrained', beta: 40, gap_mode: 'penalty', gap_penalty: 5},
+   expected: 5},
+  // Skipping the masked image aligns the other two images with the diagonal: 0 + 0 = 0
+  {name: 'gap skip',
+   pattern: [[0, 10], [100, 130]],
+   series: [[0, null, 10], [100, 115, 130]],
+   options: {constraint_type: 'time-constrained', beta: 40, gap_mode: 'skip'},
+   expected: 0},
+  // Same slope of 10 everywhere, so all derivative costs are 0
+  {name: 'derivative',
+   pattern: [[0, 10, 20], [100, 110, 120]],
+   series: [[5, 15, 25], [100, 110, 120]],
+   options: {constraint_type: 'time-constrained', beta: 40, derivative_weight: 1, output_type: 'float'},
+   expected: 0},
+  // Slopes of ((1 - 0) + (1 - 0) / 2) / 2 = 0.75 for the time series and ((2 - 0) + (4 - 0) / 2) / 2 = 2 for the pattern
+  // at every timestamp, i.e. fractional derivatives: 3 diagonal cells of |0.75 - 2| = 3.75
+  {name: 'fractional derivative',
+   pattern: [[0, 2, 4], [100, 110, 120]],
+   series: [[0, 1, 1], [100, 110, 120]],
+   options: {constraint_type: 'time-constrained', beta: 40, derivative_weight: 1, output_type: 'float'},
+   expected: 3.75},
+  // Half of the value costs [[5, 5, 15], [15, 5, 5], [25, 15, 5]], whose best path (diagonal) costs 15
+  {name: 'value and derivative',
+   pattern: [[0, 10, 20], [100, 110, 120]],
+   series: [[5, 15, 25], [100, 110, 120]],
+   options: {constraint_type: 'time-constrained', beta: 40, derivative_weight: 0.5, output_type: 'float'},
+   expected: 7.5}
+];
+
+var failures = 0;
+
+HAND_CASES.forEach(function(hand_case){
+  var output = DTWClient.DTWDist([hand_case.pattern], hand_case.series, hand_case.options);
+  var dist = hand_case.options.return_path ? output.DTW : output;
+  var pass = Math.abs(dist - hand_case.expected) <= TOLERANCE;
+  if (hand_case.path) {
+    pass = pass && JSON.stringify(output.path) === JSON.stringify(hand_case.path);
+  }
+  failures += pass ? 0 : 1;
+
+  console.log((pass ? 'PASS' : 'FAIL') + ' ' + hand_case.name + ': ' + dist
+              + (hand_case.path ? ', path ' + JSON.stringify(output.path) : '')
+              + (pass ? '' : ' (expected ' + hand_case.expected
+                             + (hand_case.path ? ', path ' + JSON.stringify(hand_case.path) : '') + ')'));
+});
+
+console.log(failures === 0 ? 'All checks passed' : failures + ' check(s) failed');
+process.exitCode = failures === 0 ? 0 : 1;
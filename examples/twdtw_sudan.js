@@ -10,6 +10,8 @@ var composites = require('users/soilwatch/soilErosionApp:composites.js');
 
 // Import the Dynamic Time Warping script
 var DTW = require('users/soilwatch/functions:dtw.js');
+// Import the multi-year transition rules script
+var Transitions = require('users/soilwatch/functions:transitions.js');
 
 // Input data parameters
 var CLASS_NAME = 'lc_class'; // Property name of the feature collection containing the crop type class attribute
@@ -69,8 +71,8 @@ ee.FeatureCollection(ee.FeatureCollection("FAO/GAUL/2015/level2")
 Map.centerObject(county.geometry());
 Map.layers().reset([ui.Map.Layer(county, {}, adm2_name)]);
 
-// Function that performs DTW land classification for a given year.
-var DTWClassification = function(year, collection_type){
+// Function that prepares the DTW input time series for a given year.
+var DTWInputs = function(year, collection_type){
 
   var date_range = ee.Dictionary({'start': year + '-07-01', 'end': year + '-12-30'}); // Second half of year used only.
   // Load the Sentinel-2 collection for the time period and area requested
@@ -166,72 +168,8 @@ var DTWClassification = function(year, collection_type){
   var s1s2_stack = ee.Image(joined.iterate(function(image, previous){return ee.Image(previous).addBands(image)}, ee.Image([])))
                    .select(ee.List(S1_BAND_LIST.concat(S2_BAND_LIST)).add(DOY_BAND).map(function(band){return ee.String(band).cat('.*')}));
 
-  var band_names = s1s2_stack.bandNames();
-
-  // Sample the band values for each training data points
-  // If reference signatures are already defined, it uses those signatures rather than sampling them again.
-  var reference_signatures = reference_signatures || s1s2_stack
-                                                     .sampleRegions({
-                                                       collection: signatures,
-                                                       properties: [CLASS_NAME],
-                                                       scale : 10,
-                                                       geometries: true
-                                                     });
-
-  // Wrapper function for the DTW implementation, intended to iterate over each land cover/crop class
-  // provided in the reference signatures
-  var dtw_min_dist = function(key, val){
-    key = ee.Number.parse(key);
-    // Function to format the signatures to a DTW-ready EE array
-    var training_data_list = DTW.prepareSignatures(reference_signatures,
-                                                   CLASS_NAME,
-                                                   key,
-                                                   BAND_NO,
-                                                   PATTERNS_LEN,
-                                                   band_names);
-
-    // Compute the class-wise DTW distance
-    return ee.ImageCollection(DTW.DTWDist(training_data_list,
-                                          joined.select('[^'+DOY_BAND+'].*'),
-                                          {patterns_no: val,
-                                          band_no: BAND_NO,
-                                          timeseries_len: TIMESERIES_LEN,
-                                          patterns_len: PATTERNS_LEN,
-                                          constraint_type: 'time-weighted',
-                                          beta: BETA,
-                                          alpha: ALPHA
-                                          })
-           ).min()
-           .rename('dtw')
-           // Add class band corresponding to the land cover/crop class computed.
-           // This is useful/necessary to generate the hard classification map from the dissimilarity values
-           .addBands(ee.Image(key).toByte().rename('band'));
-  };
-
-  // Map the DTW distance function over each land cover class
-  var dtw_image_list = reference_signatures_agg.map(dtw_min_dist);
-
-  // Turn image collection into an array
-  var array = ee.ImageCollection(dtw_image_list.values()).toArray();
-
-  // Sort array by the first band, keeping other bands
-  var axes = {image:0, band:1};
-  var sort = array.arraySlice(axes.band, 0, 1);  // select bands from index 0 to 1 (DTW dissimilarity score)
-  var sorted = array.arraySort(sort);
-
-  // Take the first image only
-  var values = sorted.arraySlice(axes.image, 0, 1);
-
-  // Convert back to an image
-  var min = values.arrayProject([axes.band]).arrayFlatten([['dtw', 'band']]);
-
-  // Extract the DTW dissimilarity score
-  var dtw_score = min.select(0).rename('score_' + year);
-  // Extract the DTW hard classification
-  var dtw_class = min.select(1).rename('classification_' + year);
-
-  // 1. DTW outputs (dissimilarity score + classification map), 2. reference signatures, 3. stack of bands used as input to DTW
-  return [dtw_class.addBands(dtw_score), reference_signatures, s1s2_stack];
+  // 1. image collection used as input to DTW, 2. stack of bands used as input to DTW
+  return [joined, s1s2_stack];
 };
 
 // Manually captured signatures from photo-interpretation of 6 land cover classes in Sennar, Sudan
@@ -270,20 +208,62 @@ var classification_palette = ['#d63000',
 // DTW Dissimilarity score palette
 var score_palette = palettes.colorbrewer.RdYlGn[9].reverse();
 
-// Compute the DTW classification for the year 2020.
-var dtw_outputs = DTWClassification('2020', 'COPERNICUS/S2');
-var dtw = dtw_outputs[0]; // Extract the DTW dissimilarity score and hard classification
-var reference_signatures = dtw_outputs[1]; // Extract the reference signatures for 2020.
-var s1s2_stack = dtw_outputs[2]; // Extract the bands stack used as input for DTW.
+// Prepare the DTW inputs for the year 2020.
+var dtw_inputs = DTWInputs('2020', 'COPERNICUS/S2');
+var timeseries_col = dtw_inputs[0]; // Multi-year time series, to which the other years are appended
+var s1s2_stack = dtw_inputs[1]; // Extract the bands stack used as input for DTW.
 var s1s2_list = ee.List([s1s2_stack]); // Convert input bands to list to enable appending data from other years
-
-// Iterate over each land cover/crop class to compute the DTW for each
-Object.keys(year_dict).forEach(function(i) {
-  var dtw_outputs = DTWClassification(i, year_dict[i])
-  dtw = dtw.addBands(dtw_outputs[0]);
-  s1s2_list = s1s2_list.add(dtw_outputs[2]);
+var seasons = {'2020': ['2020-07-01', '2020-12-30']}; // Season window of each year (second half of the year only)
+
+// Sample the band values of the 2020 stack for each training data point
+var reference_signatures = s1s2_stack.sampleRegions({
+                             collection: signatures,
+                             properties: [CLASS_NAME],
+                             scale : 10,
+                             geometries: true
+                           });
+
+// Compare the accuracy of the time-weighted and time-constrained settings on the 2020 reference signatures,
+// with a 5-fold cross-validation. This is computationally intensive, so uncomment to run.
+//var assessment = DTW.assessSettings(reference_signatures,
+//                                    CLASS_NAME,
+//                                    {band_no: BAND_NO,
+//                                     patterns_len: PATTERNS_LEN,
+//                                     band_names: s1s2_stack.bandNames(),
+//                                     folds: 5
+//                                    },
+//                                    [{constraint_type: 'time-weighted', beta: BETA, alpha: ALPHA},
+//                                     {constraint_type: 'time-weighted', beta: 30, alpha: ALPHA},
+//                                     {constraint_type: 'time-constrained', beta: BETA}
+//                                    ]);
+//print('Accuracy assessment of the DTW settings:', assessment);
+
+// Append the time series of each other year to the multi-year time series, with one season window per year
+Object.keys(year_dict).forEach(function(year) {
+  var dtw_inputs = DTWInputs(year, year_dict[year]);
+  timeseries_col = timeseries_col.merge(dtw_inputs[0]);
+  s1s2_list = s1s2_list.add(dtw_inputs[1]);
+  seasons[year] = [year + '-07-01', year + '-12-30'];
 });
 
+// Compute the class-wise DTW distance for each land cover/crop class provided in the reference signatures,
+// and generate the hard classification map of every season at once, the class patterns being prepared only once.
+var dtw = DTW.classifySeasons(reference_signatures,
+                              CLASS_NAME,
+                              timeseries_col.sort('system:time_start'),
+                              {seasons: seasons,
+                               band_no: BAND_NO,
+                               doy_band: DOY_BAND,
+                               timeseries_len: TIMESERIES_LEN,
+                               patterns_len: PATTERNS_LEN,
+                               band_names: s1s2_stack.bandNames(),
+                               constraint_type: 'time-weighted',
+                               beta: BETA,
+                               alpha: ALPHA
+                              })
+             // Keep the DTW hard classification and dissimilarity score of each year
+             .select(['classification_.*', 'score_.*']);
+
 // Image Visualization Parameters for the multi-temporal ndvi composite
 var imageVisParam = {bands: ["ndvi_5", "ndvi_3", "ndvi_1"],
                      gamma: 1,
@@ -317,18 +297,15 @@ Map.addLayer(dtw_class.updateMask(crop_mask).clip(county.geometry()),
              'DTW classification (30 days signature, 30 days images)');
 
 // Generate the additional abandoned/long-term fallowed classes and short-term fallowed classes
-var dtw_class_strat = dtw_class.where(dtw_class.eq(6) // 3 previous years identified as rangelands to be considered abandoned
-                                      .and(dtw.select('classification_2019').eq(6))
-                                      .and(dtw.select('classification_2018').eq(6))
-                                      .and(dtw.select('classification_2017').eq(6))
-                                      .and(vito_lulc_crop),
-                                      ee.Image(8))
-                               .where(dtw_class.eq(6) // Current year labelled as rangeland, any of the 3 previous years labeled as active cropland
-                                      .and(dtw.select('classification_2019').eq(5)
-                                      .or(dtw.select('classification_2018').eq(5))
-                                      .or(dtw.select('classification_2017').eq(5))
-                                      ).and(vito_lulc_crop),
-                                      ee.Image(9));
+var dtw_class_strat = Transitions.applyRules(dtw.select('classification_.*'),
+                                              // 3 previous years identified as rangelands to be considered abandoned
+                                             [{current: 6, previous: 6, min_years: 3, window: 3, to: 8,
+                                               condition: vito_lulc_crop},
+                                              // Current year labelled as rangeland, any of the 3 previous years labeled as active cropland
+                                              {current: 6, previous: 5, min_years: 1, window: 3, to: 9,
+                                               condition: vito_lulc_crop}],
+                                             {years: [2017, 2018, 2019, 2020]})
+                                 .select('classification');
 
 Map.addLayer(dtw_class_strat.updateMask(crop_mask).clip(county.geometry()),
              {palette: classification_palette, min: 1, max: CLASS_NO+2},
@@ -341,7 +318,7 @@ var area_histogram = ee.Dictionary(dtw_class_strat.updateMask(crop_mask).reduceR
   scale: 100,
   maxPixels:1e13,
   tileScale: 4
-  }).get('classification_2020')).values();
+  }).get('classification')).values();
 
 // Assign class names with each area value.
 var area_list = ee.List([]);
@@ -387,7 +364,7 @@ var generateGIF = function(img, band_name){
 
 // Export GIF of the DTW classification + DTW classification distinguishing between abandoned/active cropland
 generateGIF(ee.ImageCollection(ee.List([dtw.select('classification_2020').rename('classification')])
-               .add(dtw_class_strat.rename('classification'))), 'classification');
+               .add(dtw_class_strat)), 'classification');
 
 // Export Video of the temporal NDVI composites for each year produced
 Export.video.toDrive({
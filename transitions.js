@@ -0,0 +1,110 @@
+// ****************************************************************************************************************** //
+// ************** Multi-year transition rules deriving land cover trajectories from DTW classifications ************* //
+// ****************************************************************************************************************** //
+
+// This module derives new classes (e.g. abandoned or fallow cropland) from a stack of yearly classification bands,
+// such as the one produced by stacking the 'classification' band of DTW.classify over several years,
+// with declarative rules of the form: "class X in the current year, and class Y in at least N of the M previous years,
+// becomes class Z". It can be required from the GEE code editor:
+// var Transitions = require('users/soilwatch/functions:transitions.js');
+
+/**
+ * Convert a class or list of classes into a list.
+ * @ignore
+ */
+var _toList = function(classes){
+  return Array.isArray(classes) ? classes : [classes];
+};
+
+/**
+ * Check that a rule has all the required fields, so that a typo does not silently turn it into a no-op.
+ * @ignore
+ */
+var _checkRule = function(rule, i){
+  ['current', 'previous', 'min_years', 'to'].forEach(function(field){
+    if (rule[field] === undefined || rule[field] === null) {
+      throw new Error('Transition rule ' + (i + 1) + ' is missing the \'' + field + '\' field');
+    }
+  });
+  if (rule.window !== undefined && rule.min_years > rule.window) {
+    throw new Error('Transition rule ' + (i + 1) + ' requires more years (' + rule.min_years
+                    + ') than its window of previous years (' + rule.window + ')');
+  }
+};
+
+/**
+ * Whether each pixel of a classification band is labelled as one of the given classes.
+ * Masked pixels are considered as not matching.
+ * @ignore
+ */
+var _isClass = function(img, classes){
+  return _toList(classes).map(function(class_value){return img.eq(class_value)})
+                         .reduce(function(a, b){return a.or(b)})
+                         .unmask(0);
+};
+
+/**
+ * Apply transition rules to a multi-year stack of classification bands, and derive the classification of a given year.
+ * The rules are evaluated on the original classifications (i.e. the class derived by a rule is not used by the other rules),
+ * and the first matching rule of the list is applied to each pixel.
+ * @param {Image} classification_stack: An image with one classification band per year, named with a prefix followed
+ *                                      by the year, e.g. 'classification_2017', ..., 'classification_2020'.
+ * @param {List} rules: The list of rules, each rule being a dictionary with the following fields:
+ *                      - @param {Number|List} current: The class(es) of the pixel in the current year.
+ *                      - @param {Number|List} previous: The class(es) of the pixel in the previous years.
+ *                      - @param {Number} min_years: The minimum number of previous years labelled as 'previous'.
+ *                        An error is thrown if the window holds fewer previous years, as the rule could never apply.
+ *                      - @param {Number} window: The number of previous years to look at. Defaults to all the years
+ *                        of the stack before the current year.
+ *                      - @param {Number} to: The new class of the pixels matching the rule.
+ *                      - @param {Image} condition: An optional binary image further restricting where the rule applies,
+ *                        e.g. a cropland mask.
+ * @param {Dictionary} options: The options consist of the following parameters:
+ *                              - @param {List} years: The list of years of the stack, e.g. [2017, 2018, 2019, 2020].
+ *                              - @param {Number} year: The current year. Defaults to the last year of 'years'.
+ *                              - @param {String} band_prefix: The prefix of the classification band names.
+ *                                Defaults to 'classification_'.
+ * @returns {Image} An image with the 'classification' band, i.e. the classification of the current year
+ *                  with the classes derived by the rules, and the 'rule' band, i.e. the (1-based) index
+ *                  of the rule applied to each pixel, 0 meaning that no rule applied.
+ * @ignore
+ */
+exports.applyRules = function(classification_stack, rules, options){
+  var years = options.years.slice().sort(function(a, b){return a - b});
+  var year = options.year || years[years.length - 1];
+  var band_prefix = options.band_prefix || 'classification_';
+
+  var current = classification_stack.select(band_prefix + year);
+  var previous_years = years.filter(function(y){return y < year});
+
+  var classification = current;
+  var rule_hit = ee.Image(0);
+
+  rules.forEach(function(rule, i){
+    _checkRule(rule, i);
+
+    // The window only looks back from the current year, i.e. it holds the most recent previous years
+    var window_years = previous_years.slice(-(rule.window || previous_years.length));
+    if (window_years.length < rule.min_years) {
+      throw new Error('Transition rule ' + (i + 1) + ' requires more years (' + rule.min_years
+                      + ') than the ' + window_years.length + ' previous year(s) of the stack before ' + year);
+    }
+
+    // Number of previous years of the window labelled as one of the 'previous' classes
+    var count = window_years.map(function(y){return _isClass(classification_stack.select(band_prefix + y), rule.previous)})
+                            .reduce(function(a, b){return a.add(b)}, ee.Image(0));
+
+    var hit = _isClass(current, rule.current).and(count.gte(rule.min_years));
+    if (rule.condition) {
+      hit = hit.and(ee.Image(rule.condition).unmask(0));
+    }
+    // Only the pixels not matched by a previous rule
+    hit = hit.and(rule_hit.eq(0));
+
+    classification = classification.where(hit, rule.to);
+    rule_hit = rule_hit.where(hit, i + 1);
+  });
+
+  return classification.rename('classification')
+                       .addBands(rule_hit.updateMask(current.mask()).toUint8().rename('rule'));
+};